@@ -0,0 +1,27 @@
+import { describe, it, expect } from "vitest";
+import { env } from "cloudflare:workers";
+import worker from "../worker.js";
+
+const adminEnv = { ...env, ADMIN_PASSWORD: "secret" };
+const admin = (path, method, headers = {}, body) => worker.handleAdmin(path, new Request(`https://x.dev${path}`, {
+  method, body, headers: { Authorization: `Basic ${btoa("admin:secret")}`, ...headers }
+}), adminEnv);
+const source = JSON.stringify({ id: "csrf", url: "https://evil.example/rss" });
+
+describe("handleAdmin writes", () => {
+  it("rejects form posts from another site", async () => {
+    const res = await admin("/admin/api/sources", "POST", { Origin: "https://evil.example", "Content-Type": "text/plain" }, source);
+    expect(res.status).toBe(403);
+    expect((await env.NEWS_CONFIG.get("sources", "json"))?.some(s => s.id === "csrf")).toBeFalsy();
+  });
+
+  it("rejects JSON without our Origin", async () => {
+    expect((await admin("/admin/api/sources", "POST", { "Content-Type": "application/json" }, source)).status).toBe(403);
+    expect((await admin("/admin/api/sources/nyt", "DELETE", { Origin: "https://evil.example", "Content-Type": "application/json" })).status).toBe(403);
+  });
+
+  it("accepts same-origin JSON calls from the admin page", async () => {
+    const res = await admin("/admin/api/sources/missing", "DELETE", { Origin: "https://x.dev", "Content-Type": "application/json" });
+    expect(res.status).toBe(404);
+  });
+});
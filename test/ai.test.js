@@ -0,0 +1,14 @@
+import { describe, it, expect } from "vitest";
+import worker from "../worker.js";
+
+describe("cleanPoints", () => {
+  it("strips bullet glyphs but keeps leading numbers", () => {
+    expect(worker.cleanPoints(["• 总统发表讲话", "- 美联储维持利率", "* 欧盟通过新法案", "3 people were killed in the blast", "2024年选举结果公布", "-3% growth expected this year"]))
+      .toEqual(["总统发表讲话", "美联储维持利率", "欧盟通过新法案", "3 people were killed in the blast", "2024年选举结果公布", "-3% growth expected this year"]);
+  });
+
+  it("drops fragments and tolerates a missing list", () => {
+    expect(worker.cleanPoints(["•", "好的", "  "])).toEqual([]);
+    expect(worker.cleanPoints(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { env } from "cloudflare:workers";
+import worker from "../worker.js";
+import rfiPage from "./fixtures/rfi.fr.html?raw";
+
+const item = (n, title, extra = {}) => ({ link: `/article/www.rfi.fr/cn/${n}`, title, source: "法广", sourceId: "rfi", color: "text-red-600", image: "", excerpt: "", timestamp: Date.UTC(2024, 4, 20), ...extra });
+const search = async (q) => {
+  const res = await worker.handleSearch(new URL(`https://x.dev/search.json?q=${encodeURIComponent(q)}`), new Request("https://x.dev/search.json"), env);
+  return (await res.json()).items.map(i => i.link);
+};
+const count = async (table) => (await env.ARCHIVE_DB.prepare(`SELECT COUNT(*) AS n FROM ${table}`).first()).n;
+
+beforeEach(async () => {
+  worker._archiveReady = null;
+  await env.ARCHIVE_DB.batch(["articles", "articles_search"].map(t => env.ARCHIVE_DB.prepare(`DROP TABLE IF EXISTS ${t}`)));
+});
+
+describe("archive search index", () => {
+  it("keeps one index row per article when items are archived again", async () => {
+    await worker.archiveItems(env, [item(1, "台湾新任领导人就职"), item(2, "美联储维持利率不变")]);
+    await worker.archiveItems(env, [item(1, "台湾新任领导人就职演说"), item(2, "美联储维持利率不变")]);
+    expect(await count("articles")).toBe(2);
+    expect(await count("articles_search")).toBe(2);
+    expect(await search("就職演說")).toEqual(["/article/www.rfi.fr/cn/1"]);
+  });
+
+  it("indexes the body archived after the feed item", async () => {
+    await worker.archiveItems(env, [item(3, "安理会召开紧急会议")]);
+    await worker.archiveArticle(env, "https://www.rfi.fr/cn/3", { title: "安理会召开紧急会议", paragraphs: ["秘书长呼吁立即停火。"], image: "", summary: null });
+    expect(await search("立即停火")).toEqual(["/article/www.rfi.fr/cn/3"]);
+    expect(await count("articles_search")).toBe(1);
+  });
+});
+
+describe("archiveArticle", () => {
+  it("names new rows after the configured source, like archiveItems", async () => {
+    await worker.archiveArticle(env, "https://www.epochtimes.com/gb/24/6/12/n1.htm", { title: "美联储维持利率不变", paragraphs: ["美联储周三宣布维持利率不变。"], image: "", summary: null });
+    const row = await env.ARCHIVE_DB.prepare(`SELECT source, source_id, color FROM articles`).first();
+    expect(row).toEqual({ source: "大纪元", source_id: "epoch-418", color: "text-blue-600" });
+  });
+
+  it("falls back to the hostname for hosts no source serves", async () => {
+    await worker.archiveArticle(env, "https://www.example.com/a", { title: "例子", paragraphs: [], image: "", summary: null });
+    expect((await env.ARCHIVE_DB.prepare(`SELECT source FROM articles`).first()).source).toBe("example.com");
+  });
+
+  it("decodes entities in the page title before storing and indexing it", async () => {
+    await worker.archiveArticle(env, "https://www.example.com/t", { title: "AT&amp;T &#x5C31;&#32844;演说", paragraphs: [], image: "", summary: null });
+    expect((await env.ARCHIVE_DB.prepare(`SELECT title FROM articles`).first()).title).toBe("AT&T 就职演说");
+    expect(await search("就职")).toEqual(["/article/www.example.com/t"]);
+  });
+});
+
+describe("archiveItems", () => {
+  it("replaces a hostname source once the item shows up in a feed", async () => {
+    await worker.archiveArticle(env, "https://www.example.com/a", { title: "例子", paragraphs: [], image: "", summary: null });
+    await worker.archiveItems(env, [{ ...item(0, "例子"), link: "/article/www.example.com/a", source: "范例", sourceId: "example" }]);
+    expect(await env.ARCHIVE_DB.prepare(`SELECT source, source_id FROM articles`).first()).toEqual({ source: "范例", source_id: "example" });
+  });
+});
+
+describe("archiving articles whose summary is already cached", () => {
+  const url = "https://www.rfi.fr/cn/cached-summary";
+  const body = async () => (await env.ARCHIVE_DB.prepare(`SELECT body FROM articles WHERE link = ?`).bind(worker.archiveLink(url)).first())?.body;
+  // waitUntil work can queue more waitUntil work, so drain until nothing new arrives.
+  const runCtx = () => {
+    const pending = [];
+    return { ctx: { waitUntil: p => pending.push(p) }, settle: async () => { while (pending.length) await pending.shift(); } };
+  };
+
+  beforeEach(async () => {
+    await env.AI_SUMMARY.put(worker.summaryKey(url), JSON.stringify(["已缓存的要点"]));
+    vi.spyOn(globalThis, "fetch").mockImplementation(async () => new Response(rfiPage));
+  });
+  afterEach(() => vi.restoreAllMocks());
+
+  it("archives the body from _getArticleData", async () => {
+    const { ctx, settle } = runCtx();
+    await worker._getArticleData(url, new Request(url), "", env, ctx);
+    await settle();
+    expect(await body()).toContain("就职典礼在总统府前广场举行");
+  });
+
+  it("fetches the article behind a /summary/ cache hit", async () => {
+    const { ctx, settle } = runCtx();
+    const res = await worker.handleSummary(`/summary/${url.replace("https://", "")}`, new Request("https://x.dev/summary/"), "", env, ctx);
+    expect(await res.json()).toEqual(["已缓存的要点"]);
+    await settle();
+    expect(await body()).toContain("就职典礼在总统府前广场举行");
+  });
+
+  it("leaves rows that already have a body alone", async () => {
+    await worker.archiveArticle(env, url, { title: "t", paragraphs: ["原有正文"], image: "", summary: null });
+    const { ctx, settle } = runCtx();
+    await worker.handleSummary(`/summary/${url.replace("https://", "")}`, new Request("https://x.dev/summary/"), "", env, ctx);
+    await settle();
+    expect(await body()).toBe("原有正文");
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+});
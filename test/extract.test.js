@@ -0,0 +1,125 @@
+import { describe, it, expect } from "vitest";
+import worker from "../worker.js";
+
+// Hand-built copies of each site's article markup, including the nav, ads, related lists and
+// footers the profiles are meant to drop.
+const fixtures = import.meta.glob("./fixtures/*.html", { query: "?raw", import: "default", eager: true });
+const page = (name) => fixtures[`./fixtures/${name}.html`];
+
+const extract = (name, url) => {
+  const profile = worker.getExtractionProfile(new URL(url).hostname);
+  return worker.extractPage(page(name), url, profile);
+};
+
+describe("getExtractionProfile", () => {
+  it("matches profiled domains and their subdomains only", () => {
+    expect(worker.getExtractionProfile("cn.nytimes.com")).toBeTruthy();
+    expect(worker.getExtractionProfile("www.rfi.fr")).toBe(worker.getExtractionProfile("rfi.fr"));
+    expect(worker.getExtractionProfile("www.epochtimes.com")).toBeTruthy();
+    expect(worker.getExtractionProfile("www.nytimes.com")).toBeNull();
+    expect(worker.getExtractionProfile("notrfi.fr")).toBeNull();
+  });
+});
+
+describe("extractPage with profiles", () => {
+  it("cn.nytimes.com: article paragraphs, profile image and next page", async () => {
+    const out = await extract("cn.nytimes.com", "https://cn.nytimes.com/world/20240501/china-trade/");
+    expect(out.title).toBe("中美贸易谈判陷入僵局 - 纽约时报中文网");
+    expect(out.paragraphs).toEqual([
+      "北京——经过三天的密集谈判，中美两国代表团周二未能就关税问题达成协议，双方同意下月在华盛顿继续磋商。",
+      "知情人士透露，分歧主要集中在技术转让和国有企业补贴两个方面，美方坚持要求建立可核查的执行机制。",
+      "分析人士认为，在两国国内政治压力不断上升的背景下，短期内取得突破的可能性不大。"
+    ]);
+    expect(out.image).toBe("https://cn.nytimes.com/images/2024/05/01/trade-talks.jpg");
+    expect(out.nextUrl).toBe("https://cn.nytimes.com/world/20240501/china-trade/zh-hans/2/");
+  });
+
+  it("rfi.fr: chapo and body, without quotes, interstitials, tags or promos", async () => {
+    const out = await extract("rfi.fr", "https://www.rfi.fr/cn/%E6%B8%AF%E6%BE%B3%E5%8F%B0/20240520-taiwan");
+    expect(out.paragraphs).toEqual([
+      "台湾新任领导人周一在台北宣誓就职，并在演说中表示将维持两岸现状，呼吁北京停止对台湾的军事施压。",
+      "就职典礼在总统府前广场举行，数万名民众冒雨到场观礼，多国政要也派出代表出席了这一仪式。",
+      "新领导人在演说中强调，台湾愿意在对等和尊严的前提下与北京展开对话，但不会接受任何形式的胁迫。",
+      "北京方面随后回应称，台湾问题是中国内政，不容任何外部势力干涉，并再次重申了其一贯立场。"
+    ]);
+    expect(out.image).toBe("https://s.rfi.fr/media/display/5f3c0d1a-taipei/w:1280/p:16x9/taipei.jpg");
+    expect(out.nextUrl).toBe("");
+  });
+
+  it("bbc.com: dir paragraphs, related sections stripped, srcset image", async () => {
+    const out = await extract("bbc.com", "https://www.bbc.com/zhongwen/simp/world-68912345");
+    expect(out.paragraphs).toEqual([
+      "英国周四举行大选，反对党工党赢得下议院超过四百个议席，结束了保守党长达十四年的执政。",
+      "新任首相在唐宁街发表讲话时表示，国家需要一个“重建的十年”，政府将优先处理医疗和住房问题。",
+      "分析人士指出，这次选举结果反映了选民对生活成本危机和公共服务恶化的强烈不满情绪。"
+    ]);
+    expect(out.image).toBe("https://ichef.bbci.co.uk/ace/ws/240/cpsprodpb/1a2b/live/downing-street.jpg.webp");
+  });
+
+  it("rfa.org: kept captions, <br> splits and boilerplate filtering", async () => {
+    const out = await extract("rfa.org", "https://www.rfa.org/mandarin/yataibaodao/gangtai/hk-fireworks-06112024.html");
+    expect(out.paragraphs).toEqual([
+      "图：资料图片：去年国庆期间维多利亚港上空的烟花汇演。（路透社）",
+      "香港天文台周二发出八号风球信号，原定当晚在维多利亚港举行的烟花汇演被迫取消，主办方表示将另择日期举行。",
+      "多名市民对此表示失望，部分游客称专程从内地赶来观看。",
+      "旅游业界人士估计，取消活动将令酒店和餐饮业损失数以千万港元计的收入，打击本已疲弱的消费市场。"
+    ]);
+    expect(out.image).toBe("https://www.rfa.org/resizer/v2/fireworks.jpg?auth=abc&width=800");
+  });
+
+  it("epochtimes.com: lazy image, duplicate paragraphs collapsed, next page link", async () => {
+    const out = await extract("epochtimes.com", "https://www.epochtimes.com/gb/24/6/12/n14263412.htm");
+    expect(out.paragraphs).toEqual([
+      "【大纪元2024年06月12日讯】美国联邦储备委员会周三结束为期两天的货币政策会议，宣布将基准利率维持在现有区间不变。",
+      "美联储在声明中表示，通胀虽有所回落但仍高于百分之二的目标，委员会需要看到更多令人信服的数据。"
+    ]);
+    expect(out.image).toBe("https://i.epochtimes.com/assets/uploads/2024/06/id1234-fed-600x400.jpg");
+    expect(out.nextUrl).toBe("https://www.epochtimes.com/gb/24/6/12/n14263412p2.htm");
+  });
+
+  it("voachinese.com: cover caption kept, embeds stripped, Latin paragraphs allowed", async () => {
+    const out = await extract("voachinese.com", "https://www.voachinese.com/a/un-security-council-gaza/7631234.html");
+    expect(out.paragraphs).toEqual([
+      "图：2024年5月28日，联合国安理会在纽约总部举行会议。",
+      "联合国安理会周二应阿尔及利亚的要求召开紧急会议，讨论加沙南部拉法地区最新的人道主义局势。",
+      "The United Nations Secretary-General told the council that there is no safe place in Gaza and called for an immediate ceasefire.",
+      "美国常驻联合国代表表示，美方正在起草一份新的决议草案，但拒绝透露具体的内容和表决时间。"
+    ]);
+    expect(out.image).toBe("https://gdb.voanews.com/01000000-0aff-0242-1234-08dc7e3a1b2c_w1200_r1.jpg");
+  });
+});
+
+describe("extractPage without a profile", () => {
+  it("scores the story container over navigation, sidebars and comments", async () => {
+    const out = await extract("unprofiled", "https://news.example.tw/society/20240724/typhoon");
+    expect(out.paragraphs).toEqual([
+      "中央氣象署今天下午發布海上及陸上颱風警報，預估颱風中心將在明天清晨最接近北部陸地，各地風雨將明顯增強。",
+      "台北市、新北市和基隆市政府傍晚宣布，明天全天停止上班上課，並呼籲民眾盡量減少外出，做好防颱準備。",
+      "氣象專家提醒，颱風外圍環流與東北季風共伴，山區可能出現超過五百毫米的豪雨，需嚴防坍方和土石流。"
+    ]);
+    expect(out.image).toBe("https://news.example.tw/media/typhoon-cover.jpg");
+  });
+});
+
+describe("scoreBlocks", () => {
+  const block = (id, parent, text, linkChars = 0) => ({ id, parent, caption: false, stripped: false, text, linkChars });
+
+  it("keeps the best-scoring container and drops link-heavy blocks inside it", () => {
+    const body = "这是一段足够长的正文内容，包含多个逗号，以及句号。";
+    const blocks = [
+      block(0, -1, ""),
+      block(1, 0, ""),
+      block(2, 1, body),
+      block(3, 1, body),
+      block(4, 1, "相关链接：另一篇完全不相关的新闻报道标题", 20),
+      block(5, 0, ""),
+      block(6, 5, "侧栏里的一条简短提示文字，没有标点符号")
+    ];
+    expect(worker.scoreBlocks(blocks).map(b => b.id)).toEqual([1, 2, 3]);
+  });
+
+  it("returns every block when nothing is long enough to score", () => {
+    const blocks = [block(0, -1, ""), block(1, 0, "太短")];
+    expect(worker.scoreBlocks(blocks)).toBe(blocks);
+  });
+});
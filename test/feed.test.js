@@ -0,0 +1,68 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { env } from "cloudflare:workers";
+import worker from "../worker.js";
+
+const source = { id: "test", name: "Test", color: "text-slate-900", filters: {} };
+const rss = (items) => `<?xml version="1.0" encoding="UTF-8"?><rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/"><channel><title>Feed</title>${items}</channel></rss>`;
+
+describe("parseFeed", () => {
+  it("reads RSS 2.0 items that carry attributes", () => {
+    const [item] = worker.parseFeed(rss(`<item id="42"><title>台湾新任领导人就职</title><link>https://www.rfi.fr/cn/a/1</link><pubDate>Mon, 20 May 2024 08:00:00 GMT</pubDate><description><![CDATA[<p>演说<b>全文</b></p><img src="https://s.rfi.fr/a.jpg">]]></description><category>中国</category></item>`), source);
+    expect(item).toMatchObject({
+      title: "台湾新任领导人就职",
+      link: "/article/www.rfi.fr/cn/a/1",
+      timestamp: Date.UTC(2024, 4, 20, 8),
+      image: "/image/s.rfi.fr/a.jpg",
+      excerpt: "演说 全文",
+      source: "Test",
+      sourceId: "test",
+      categories: ["中国"]
+    });
+  });
+
+  it("takes RDF links from rdf:about and dates from dc:date", () => {
+    const rdf = `<?xml version="1.0"?><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/"><channel rdf:about="https://a.com/"><title>Feed</title></channel><item rdf:about="https://a.com/news/7"><title>RDF item</title><dc:date>2024-05-20T08:00:00Z</dc:date></item></rdf:RDF>`;
+    const [item] = worker.parseFeed(rdf, source);
+    expect(item.link).toBe("/article/a.com/news/7");
+    expect(item.timestamp).toBe(Date.UTC(2024, 4, 20, 8));
+  });
+
+  it("reads Atom alternate links and html-typed titles", () => {
+    const atom = `<?xml version="1.0"?><feed xmlns="http://www.w3.org/2005/Atom"><title>Feed</title><entry><title type="html">&lt;b&gt;美联储&lt;/b&gt; 维持利率</title><link rel="enclosure" type="image/jpeg" href="https://img.a.com/1.jpg"/><link rel="alternate" href="https://a.com/post?id=1&amp;lang=zh"/><updated>2024-05-20T08:00:00Z</updated><category term="经济"/></entry></feed>`;
+    const [item] = worker.parseFeed(atom, source);
+    expect(item).toMatchObject({ title: "美联储 维持利率", link: "/article/a.com/post", image: "/image/img.a.com/1.jpg", timestamp: Date.UTC(2024, 4, 20, 8), categories: ["经济"] });
+  });
+
+  it("reads JSON Feed items", () => {
+    const feed = JSON.stringify({ version: "https://jsonfeed.org/version/1.1", items: [{ id: "https://a.com/j/1", title: " JSON  item ", date_published: "2024-05-20T08:00:00Z", content_html: "<p>正文</p>", tags: ["国际"], authors: [{ name: "记者" }] }] });
+    const [item] = worker.parseFeed(feed, source);
+    expect(item).toMatchObject({ title: "JSON item", link: "/article/a.com/j/1", excerpt: "正文", author: "记者", categories: ["国际"] });
+  });
+
+  it("decodes numeric and named entities exactly once", () => {
+    const [item] = worker.parseFeed(rss(`<item><title>&#x53F0;&#28771; &amp;amp; &ldquo;AT&amp;T&rdquo; &lt;3</title><link>https://a.com/e</link></item>`), source);
+    expect(item.title).toBe("台灣 &amp; “AT&T” <3");
+  });
+
+  it("drops 神韵 items from the seeded Epoch Times sources", async () => {
+    const epoch = (await worker.getSources(env)).find(s => s.id === "epoch-418");
+    const items = worker.parseFeed(rss(`<item><title>广告</title><link>https://a.com/1</link><category>神韵</category></item><item><title>新闻</title><link>https://a.com/2</link><category>大陆</category></item>`), epoch);
+    expect(items.map(i => i.title)).toEqual(["新闻"]);
+  });
+});
+
+describe("handleOutboundFeed", () => {
+  afterEach(() => vi.restoreAllMocks());
+  const get = (path, headers) => {
+    const url = new URL(`https://x.dev${path}`);
+    return worker.handleOutboundFeed(url, new Request(url, { headers }), env, { waitUntil() {} });
+  };
+
+  it("answers If-None-Match but not If-Modified-Since", async () => {
+    vi.spyOn(worker, "getMergedNews").mockResolvedValue([{ title: "新闻", link: "/article/a.com/1", image: "", source: "Test", sourceId: "test", color: "", timestamp: Date.UTC(2024, 4, 20), excerpt: "" }]);
+    const first = await get("/feed.json?conditional");
+    expect(first.status).toBe(200);
+    expect((await get("/feed.json?conditional", { "If-None-Match": first.headers.get("ETag") })).status).toBe(304);
+    expect((await get("/feed.json?conditional", { "If-Modified-Since": new Date(Date.UTC(2030, 0, 1)).toUTCString() })).status).toBe(200);
+  });
+});
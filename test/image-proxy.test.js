@@ -0,0 +1,37 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { env } from "cloudflare:workers";
+import worker from "../worker.js";
+
+const ctx = { waitUntil() {} };
+const proxy = (path) => {
+  const url = new URL(`https://x.dev${path}`);
+  return worker.handleImageProxy(url, new Request(url, { headers: { Accept: "image/webp" } }), env, ctx);
+};
+const image = () => new Response("img", { headers: { "Content-Type": "image/jpeg" } });
+const redirect = (location) => new Response(null, { status: 302, headers: { Location: location } });
+
+describe("handleImageProxy", () => {
+  beforeEach(() => { worker._imageHosts = null; });
+  afterEach(() => vi.restoreAllMocks());
+
+  it("rejects hosts outside the sources and IMAGE_HOSTS", async () => {
+    const fetch = vi.spyOn(globalThis, "fetch");
+    expect((await proxy("/image/evil.example/a.jpg")).status).toBe(403);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it("follows redirects that stay on allowed hosts", async () => {
+    const fetch = vi.spyOn(globalThis, "fetch").mockImplementation(async (url) => url.startsWith("https://s.rfi.fr/old") ? redirect("https://static01.nyt.com/new.jpg") : image());
+    const res = await proxy("/image/s.rfi.fr/old-redirect.jpg");
+    expect(res.headers.get("Content-Type")).toBe("image/jpeg");
+    expect(fetch.mock.calls.map(c => c[0])).toEqual(["https://s.rfi.fr/old-redirect.jpg", "https://static01.nyt.com/new.jpg"]);
+    expect(fetch.mock.calls.every(c => c[1].redirect === "manual")).toBe(true);
+  });
+
+  it("serves the placeholder instead of following a redirect off the allowlist", async () => {
+    const fetch = vi.spyOn(globalThis, "fetch").mockImplementation(async (url) => url.includes("evil.example") ? image() : redirect("https://evil.example/secret.jpg"));
+    const res = await proxy("/image/w=192,f=auto/ichef.bbci.co.uk/open-redirect.jpg");
+    expect(res.headers.get("X-Image-Fallback")).toBe("1");
+    expect(fetch.mock.calls.some(c => c[0].includes("evil.example"))).toBe(false);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from "vitest";
+import { env } from "cloudflare:workers";
+import worker from "../worker.js";
+
+describe("UserStateStore", () => {
+  it("keeps every mark when devices post at the same time", async () => {
+    const updates = Array.from({ length: 20 }, (_, n) => ({ read: { [`item${n}`]: Date.now() } }));
+    await Promise.all(updates.map(update => worker.updateUserState(env, "concurrent", update)));
+    const state = await worker.getUserState(env, "concurrent");
+    expect(Object.keys(state.read).sort()).toEqual(updates.flatMap(u => Object.keys(u.read)).sort());
+  });
+
+  it("returns an empty state for a new account", async () => {
+    expect(await worker.getUserState(env, "nobody")).toEqual({ read: {}, saved: {}, mutedSources: [], mutedKeywords: [] });
+  });
+});
+
+describe("account sign-in", () => {
+  const post = (path, origin) => new Request(`https://x.dev${path}`, { method: "POST", headers: origin ? { Origin: origin } : {} });
+
+  it("creates accounts only for same-origin posts", async () => {
+    const rejected = await worker.handleUserAPI("/api/account", post("/api/account", "https://evil.example"), env);
+    expect(rejected.status).toBe(403);
+    expect(rejected.headers.get("Set-Cookie")).toBeNull();
+    const created = await worker.handleUserAPI("/api/account", post("/api/account", "https://x.dev"), env);
+    expect(created.headers.get("Set-Cookie")).toMatch(/^snr_session=/);
+  });
+
+  it("keeps a login link unused when another site posts it", async () => {
+    await env.USER_DATA.put(`magic_${await worker.sha256Hex("tok")}`, "someone", { expirationTtl: 900 });
+    const rejected = await worker.handleLogin("/login/tok", post("/login/tok"), env);
+    expect(rejected.status).toBe(403);
+    expect(rejected.headers.get("Set-Cookie")).toBeNull();
+    const res = await worker.handleLogin("/login/tok", post("/login/tok", "https://x.dev"), env);
+    expect(res.status).toBe(303);
+    expect(res.headers.get("Set-Cookie")).toMatch(/^snr_session=/);
+  });
+});
@@ -0,0 +1,15 @@
+import { defineConfig } from "vitest/config";
+import { cloudflareTest } from "@cloudflare/vitest-pool-workers";
+
+// Tests run inside workerd so HTMLRewriter behaves exactly as in production.
+export default defineConfig({
+  plugins: [cloudflareTest({
+    main: "./worker.js",
+    miniflare: {
+      compatibilityDate: "2025-01-01",
+      kvNamespaces: ["USER_DATA", "NEWS_CONFIG", "AI_SUMMARY"],
+      d1Databases: ["ARCHIVE_DB"],
+      durableObjects: { USER_STATE: { className: "UserStateStore", useSQLite: true } }
+    }
+  })]
+});
@@ -1,25 +1,138 @@
 /**
- * SmartNewsReader v11.3
- * - BASE: v11.2
- * - UPDATE: Expanded RFI regional feeds.
- * - PRESERVED: Deduplication, Density Parser, 1s Read State, 14d KV TTL.
+ * SmartNewsReader v12.5
+ * - BASE: v12.4
+ * - UPDATE: PWA manifest and service worker (/sw.js) caching feed, summaries, opened/saved articles and images; offline read marks queue and sync on reconnect.
+ * - PRESERVED: Deduplication, 1s Read State, 14d KV TTL.
  */
 
-export default {
+// Seed list, used until the registry is first saved from /admin/sources.
+const DEFAULT_SOURCES = [
+  { id: "nyt", name: "纽约时报", url: "https://cn.nytimes.com/rss/", color: "text-slate-900", domain: "cn.nytimes.com", enabled: true, filters: {} },
+  { id: "rfi", name: "法广", url: "https://www.rfi.fr/cn/rss", color: "text-red-600", domain: "www.rfi.fr", enabled: true, filters: {} },
+  { id: "rfi-americas", name: "法广", url: "https://www.rfi.fr/cn/%E7%BE%8E%E6%B4%B2/rss", color: "text-red-600", domain: "www.rfi.fr", enabled: true, filters: {} },
+  { id: "rfi-china", name: "法广", url: "https://www.rfi.fr/cn/%E4%B8%AD%E5%9B%BD/rss", color: "text-red-600", domain: "www.rfi.fr", enabled: true, filters: {} },
+  { id: "rfi-hkmotw", name: "法广", url: "https://www.rfi.fr/cn/%E6%B8%AF%E6%BE%B3%E5%8F%B0/rss", color: "text-red-600", domain: "www.rfi.fr", enabled: true, filters: {} },
+  { id: "rfi-asia", name: "法广", url: "https://www.rfi.fr/cn/%E4%BA%9A%E6%B4%B2/rss", color: "text-red-600", domain: "www.rfi.fr", enabled: true, filters: {} },
+  { id: "bbc", name: "BBC", url: "https://feeds.bbci.co.uk/zhongwen/trad/rss.xml", color: "text-orange-700", domain: "feeds.bbci.co.uk", enabled: true, filters: {} },
+  { id: "rfa", name: "亚广", url: "https://www.rfa.org/arc/outboundfeeds/mandarin/rss/", color: "text-orange-600", domain: "www.rfa.org", enabled: true, filters: {} },
+  { id: "epoch-418", name: "大纪元", url: "https://feed.epochtimes.com/gb/nsc418.htm/feed", color: "text-blue-600", domain: "feed.epochtimes.com", enabled: true, filters: { skipCategories: ["神韵"] } },
+  { id: "epoch-412", name: "大纪元", url: "https://www.epochtimes.com/gb/nsc412.htm/feed", color: "text-blue-600", domain: "feed.epochtimes.com", enabled: true, filters: { skipCategories: ["神韵"] } },
+  { id: "epoch-413", name: "大纪元", url: "https://www.epochtimes.com/gb/nsc413.htm/feed", color: "text-blue-600", domain: "feed.epochtimes.com", enabled: true, filters: { skipCategories: ["神韵"] } },
+  { id: "epoch-419", name: "大纪元", url: "https://www.epochtimes.com/gb/nsc419.htm/feed", color: "text-blue-600", domain: "feed.epochtimes.com", enabled: true, filters: { skipCategories: ["神韵"] } },
+  { id: "epoch-420", name: "大纪元", url: "https://www.epochtimes.com/gb/nsc420.htm/feed", color: "text-blue-600", domain: "feed.epochtimes.com", enabled: true, filters: { skipCategories: ["神韵"] } },
+  { id: "voa", name: "美国之音", url: "https://www.voachinese.com/api/zm_yql-vomx-tpeybti", color: "text-sky-800", domain: "www.voachinese.com", enabled: true, filters: {} }
+];
+
+// Structured-output schemas passed to callAI.
+const SUMMARY_SCHEMA = {
+  type: "object",
+  properties: { points: { type: "array", items: { type: "string" } } },
+  required: ["points"]
+};
+
+const CLUSTER_SCHEMA = {
+  type: "object",
+  properties: {
+    points: { type: "array", items: { type: "string" } },
+    disagreements: { type: "array", items: { type: "string" } }
+  },
+  required: ["points", "disagreements"]
+};
+
+// Image CDNs the default sources serve from that aren't under their feed domains (see isAllowedImageHost).
+const IMAGE_HOSTS = ["nyt.com", "bbc.co.uk", "bbc.com", "images.arcpublishing.com", "ntdtv.com", "voanews.com"];
+
+// Bump to drop every cache the service worker has written (see renderServiceWorker).
+const PWA_CACHE_VERSION = "snr-v2";
+
+// Output languages for summaries and the bilingual article view (?lang=).
+const LANGUAGES = {
+  "zh-Hans": { label: "简体", prompt: "Simplified Chinese (简体中文)" },
+  "zh-Hant": { label: "繁體", prompt: "Traditional Chinese (繁體中文)" },
+  "en": { label: "EN", prompt: "English" }
+};
+
+const TRANSLATION_SCHEMA = {
+  type: "object",
+  properties: { translations: { type: "array", items: { type: "string" } } },
+  required: ["translations"]
+};
+
+// Per-domain article extraction. `paragraphs` selects body text blocks, `strip` removes
+// boilerplate inside them, `image` picks the lead photo, `captions: "keep"` emits figure
+// captions as paragraphs and `nextPage` follows paginated articles (up to `maxPages`).
+const EXTRACTION_PROFILES = {
+  "cn.nytimes.com": {
+    paragraphs: ".article-body .article-paragraph, .article-body p",
+    strip: ".big_ad, .article-body .setting-bar, .article-body .related-coverage, .article-body .byline",
+    image: ".article-body figure img, .article-span-photo img",
+    nextPage: ".pagination a[rel='next'], .pagination .next a",
+    maxPages: 4
+  },
+  "rfi.fr": {
+    paragraphs: ".t-content__body p, .t-content__chapo",
+    strip: ".m-interstitial, .m-em-quote, .t-content__tags, .m-item-list-article, .o-self-promo",
+    image: ".t-content__main-media img, figure.m-figure img"
+  },
+  "bbc.com": {
+    paragraphs: "main div[dir] > p, main p[dir]",
+    strip: "section[aria-labelledby], section[data-e2e], [data-testid='related-content'], [role='complementary']",
+    image: "main figure img"
+  },
+  "rfa.org": {
+    paragraphs: "article .c-article-body p, article #storytext p, .article-body p",
+    strip: ".c-article-body .c-related, .c-article-body .c-share, .subscribe, .c-article-body aside",
+    image: "article figure img",
+    captions: "keep"
+  },
+  "epochtimes.com": {
+    paragraphs: "#artbody p, .post_content p",
+    strip: ".ad, .ad_container, .related_list, #taglist, .bottom_donate, .share_links, .post_content .content_ad",
+    image: "#artbody figure img, .arttop img, .featured_image img",
+    nextPage: "#artbody .page-links a.next, .pagination a.next, a.page_next",
+    maxPages: 6
+  },
+  "voachinese.com": {
+    paragraphs: "#article-content .wsw > p, .wsw > p",
+    strip: ".wsw .media-block-wrap, .wsw .wsw__embed, .wsw .content-offset",
+    image: ".cover-media img, .img-wrap img",
+    captions: "keep"
+  }
+};
+
+// Always removed, profile or not.
+const EXTRACTION_STRIP = "script, style, noscript, template, nav, header, footer, aside, form, button, iframe, [role='navigation'], [aria-hidden='true']";
+// Containers the generic scorer tracks when no profile applies.
+const EXTRACTION_BLOCKS = "p, div, section, article, main, td, li, blockquote, h2, h3, figure, ul, ol, table";
+const BOILERPLATE_RE = /版权所有|版權所有|Copyright|©|责任编辑|責任編輯|相关新闻|相關新聞|延伸阅读|延伸閱讀|点击订阅|點擊訂閱|下载APP|下載APP|分享到|All rights reserved/i;
+
+// Traditional → Simplified character pairs (OpenCC TW→CN, restricted to GB2312 level-1 targets) used to normalize titles before clustering.
+const T2S_TRAD = "丟並乾亂亞佈佔併來侖侶侷係俠俬倆倉個們倖倫偉側偵偽傑傘備傢傭傳債傷傾僅僑僕僞僥僱價儀儁億儈儉儘償優儲兇兌兒內兩冊冪凈凍凜凱別刪則剋剎剛剝剮創剷劃劄劇劉劊劍劑勁動務勛勝勞勢勳勵勸勻匯區協卹卻卽厠厤厭厲參叄叢吳吶呂員唸問啓啞啟喚喪喫喬單喲嗆嗎嗚嘆嘔嘗嘩嘯噁噓噴噸噹嚇嚐嚙嚥嚨嚮嚴囂囌囑囪國圍園圓圖團垻埰執堅堯報場塊塗塢塵塹墊墜墮墰墳墻墾壇壓壘壜壞壟壩壯壺壽夠夢夥夾奧奪奬奮妝姦娛婁婦媽嬌嬰嬸孃孫學孿宮寀寢實寧審寫寬寵寶將專尋對導屆屍屜屢層屬岡峯島峽崑崗崙嵗嶄嶺嶼嶽巋巒巖帥師帳帶幀幟幣幫幷幹幾庫廁廂廄廈廕廚廟廠廢廣廬廳弔張強彆彈彌彎彔彙彥彫彿後徑從復徵徹恆恥悅悶悽惡惱愛慄態慘慚慣慫慮慶慼慾憂憊憐憑憚憤憫憲憶懇應懞懲懶懷懸懼懾戀戰戲戶扞拋拚挾捨捱捲掃掄掙掛採揀揚換揮損搖搗搧搶摟摯摳摺摻撈撐撓撣撥撫撲撻撾撿擁擄擇擊擋擔據擠擡擣擬擯擰擱擲擴擺擻擾攆攏攔攙攜攝攢攣攤攪攬敎敗敘敵數斂斃斬斷於旂旣昇時晉晝暈暢暫曆曉曏曠曬書會朮東枴柵柺査桿條棄棊棗棟棧棲楊楓業極榘榦榮構槍槓槳樁樂樑樓標樞樣樸樹橋機橢橫檔檢檯檸檻櫃櫥櫻欄權欽歎歐歡歲歷歸殘殭殲殺殻殼毀毆氈氣氫氾汎汙決沒沖況泝洩洶涼淒淚淨淩淪淵淺渙減渦測渾湊湧湯準溝溫溼滄滅滌滙滬滯滲滷滾滿漁漚漢漣漬漲漸漿潑潔潛潤潰澀澆澇澗澤澱濁濃濕濘濛濟濤濫濰濱濺濾瀉瀋瀕瀝瀰瀾灑灕灘灣灤災為烏烴無煉煙煥煩熒熱熾燈燒燙營燦燬燭燴燻燼爍爐爛爭爲爺爾牀牆牴牽犢犧狀狹狽猙猶獃獄獅獎獨獰獲獵獸獺獻現琱琺瑣瑤瑩瑪環瓊甕產産畝畢畫異畵當疇疊痙痠痺瘋瘍瘓瘡瘧療癒癟癡癢癥癬癰癱發皁皚皺盃盜盞盡監盤盧盪眞眾睏睜瞞矇矚矯硃硯碩確碼磚礎礙礦礫礬祕祿禍禦禮禱禿稅稈稜種稱穀積穎穢穩穫窩窪窮窯窺竄竅竈竊竪競筆筍箇箋箚節範築篩簍簑簡簽簾籃籌籠籤籬籮籲粵糞糧糰糾紀約紅紉紋納紐純紗紙級紛紡紮細紳紹終絃組絆結絕絛絞絡絢給絨統絲絶絹綁綉綏綑經綜綠綢綫維綱網綳綴綵綸綻綽綿緊緑緒緘線緝緞締緣編緩緬緯練緻縛縣縧縫縮縱縴縷總績繃織繕繞繡繩繪繫繭繳繹繼續纍纏纓纔纖纜缽罈罎罰罵罷羅羣羨義習翫翹聖聞聯聰聲聳聶職聽聾肅脅脈脣脩脫脹腎腦腫腳腸膚膠膩膽膿臉臍臘臟臥臨臺與興舉舊舖舘艙艦艱艷茲荊莊莖莢華菸萊萬葉著葦葯葷蒐蒼蓆蓋蓮蔔蔘蔣蔥蔭蕩蕪蕭薊薑薔薦薩薹藍藝藥藴藹蘆蘇蘊蘋蘭蘿處虛虜號虧蛻蝕蝦蝨蝸螞螢蟄蟬蟲蟻蠅蠍蠟蠱蠶蠻衆衊術衕衚衛衝袷裏補裝裡製複褲襖襪襬襯襲覈見規覓視親覺覽觀觸訂訃計訊討訓訖託記訛訝訟訣訪設許訴診註証詐評詛詞詠詢詣試詩詫詭話該詳誅誇誌認誕誘語誠誡誣誤誦誨說説誰課誹誼調諄談請諒論諜諧諮諱諷諸諺諾謀謂謄謅謊謎謗謙講謝謠謡謬謹謾譁證譏識譚譜譟譭譯議譴護譽讀變讒讓讕讚谿豈豎豐豔豬貍貓貝貞負財貢貧貨販貪貫責貯貳貴貶買貸費貼貿賀賂賃賄資賈賊賒賓賜賞賠賢賣賤賦質賬賭賴賺購賽贅贈贊贍贏贓贖贛贜趕趙趨跡踐踰踴蹟蹤躊躍躥軀車軋軌軍軒軟軸較載輓輔輕輛輝輥輩輪輯輸輻輾輿轄轅轉轍轎轟辦辭辮辯農迴逕這連週進遊運過達違遙遜遞遠遡適遲遶遷選遺遼邁還邊邏郵鄉鄒鄖鄧鄭鄰鄲醖醜醞醣醫醬釀釁釋釐釘針釣釦釩釺鈅鈉鈍鈎鈔鈕鈞鈡鈣鈴鈾鉀鉅鉆鉑鉗鉚鉛鉢鉤鉸鉻銀銅銑銘銜銥銳銷銹銻鋁鋅鋇鋒鋤鋪鋭鋸鋼錄錐錘錠錢錦錨錫錯録錳錶鍁鍊鍋鍍鍘鍛鍬鍵鍺鍼鍾鎂鎊鎌鎖鎚鎢鎬鎭鎮鎳鏇鏈鏟鏡鏽鐐鐘鐮鐳鐵鑄鑑鑒鑰鑲鑷鑼鑽鑿長門閃閉開閏閑閒間閘閡閣閤閥閨閩閱閲閹閻闆闇闊闌闖關闡闢陝陞陣陰陳陸陽隊階隕際隨險隱隴隸隻雖雙雛雜雞離難雲電霑霧靈靜鞏鞦韆韋韌韓韻響頁頂頃項順須頌預頑頒頓頗領頤頭頰頸頹頻頽顆題額顏顔願顛類顧顫顯顱顴風颱颳飄飛飢飯飲飼飽飾餃餅養餌餒餓餘餞餡館餬餵餾饅饋饑饒饞馬馭馮馱馳馴駁駐駒駕駛駝駡駭駱駿騁騎騙騰騷騾驅驕驗驚驟驢骯髒體髮鬆鬍鬚鬥鬧鬨鬱魚魯鮑鮮鯉鯨鰓鱉鱗鳥鳳鳴鴉鴕鴛鴦鴨鴻鴿鵑鵝鵬鵰鵲鶴鷄鷗鷹鹵鹹鹼鹽麗麥麪麫麯麴麵麼麽黃點黨黴鼕齊齋齒齡齣齧齲龍龐龔龜";
+const T2S_SIMP = "丢并干乱亚布占并来仑侣局系侠私俩仓个们幸伦伟侧侦伪杰伞备家佣传债伤倾仅侨仆伪侥雇价仪俊亿侩俭尽偿优储凶兑儿内两册幂净冻凛凯别删则克刹刚剥剐创铲划札剧刘刽剑剂劲动务勋胜劳势勋励劝匀汇区协恤却即厕历厌厉参叁丛吴呐吕员念问启哑启唤丧吃乔单哟呛吗呜叹呕尝哗啸恶嘘喷吨当吓尝啮咽咙向严嚣苏嘱囱国围园圆图团坝采执坚尧报场块涂坞尘堑垫坠堕坛坟墙垦坛压垒坛坏垄坝壮壶寿够梦伙夹奥夺奖奋妆奸娱娄妇妈娇婴婶娘孙学孪宫采寝实宁审写宽宠宝将专寻对导届尸屉屡层属冈峰岛峡昆岗仑岁崭岭屿岳岿峦岩帅师帐带帧帜币帮并干几库厕厢厩厦荫厨庙厂废广庐厅吊张强别弹弥弯录汇彦雕佛后径从复征彻恒耻悦闷凄恶恼爱栗态惨惭惯怂虑庆戚欲忧惫怜凭惮愤悯宪忆恳应蒙惩懒怀悬惧慑恋战戏户捍抛拼挟舍挨卷扫抡挣挂采拣扬换挥损摇捣扇抢搂挚抠折掺捞撑挠掸拨抚扑挞挝捡拥掳择击挡担据挤抬捣拟摈拧搁掷扩摆擞扰撵拢拦搀携摄攒挛摊搅揽教败叙敌数敛毙斩断于旗既升时晋昼晕畅暂历晓向旷晒书会术东拐栅拐查杆条弃棋枣栋栈栖杨枫业极矩干荣构枪杠桨桩乐梁楼标枢样朴树桥机椭横档检台柠槛柜橱樱栏权钦叹欧欢岁历归残僵歼杀壳壳毁殴毡气氢泛泛污决没冲况溯泄汹凉凄泪净凌沦渊浅涣减涡测浑凑涌汤准沟温湿沧灭涤汇沪滞渗卤滚满渔沤汉涟渍涨渐浆泼洁潜润溃涩浇涝涧泽淀浊浓湿泞蒙济涛滥潍滨溅滤泻沈濒沥弥澜洒漓滩湾滦灾为乌烃无炼烟焕烦荧热炽灯烧烫营灿毁烛烩熏烬烁炉烂争为爷尔床墙抵牵犊牺状狭狈狰犹呆狱狮奖独狞获猎兽獭献现雕珐琐瑶莹玛环琼瓮产产亩毕画异画当畴叠痉酸痹疯疡痪疮疟疗愈瘪痴痒症癣痈瘫发皂皑皱杯盗盏尽监盘卢荡真众困睁瞒蒙瞩矫朱砚硕确码砖础碍矿砾矾秘禄祸御礼祷秃税秆棱种称谷积颖秽稳获窝洼穷窑窥窜窍灶窃竖竞笔笋个笺札节范筑筛篓蓑简签帘篮筹笼签篱箩吁粤粪粮团纠纪约红纫纹纳纽纯纱纸级纷纺扎细绅绍终弦组绊结绝绦绞络绚给绒统丝绝绢绑绣绥捆经综绿绸线维纲网绷缀彩纶绽绰绵紧绿绪缄线缉缎缔缘编缓缅纬练致缚县绦缝缩纵纤缕总绩绷织缮绕绣绳绘系茧缴绎继续累缠缨才纤缆钵坛坛罚骂罢罗群羡义习玩翘圣闻联聪声耸聂职听聋肃胁脉唇修脱胀肾脑肿脚肠肤胶腻胆脓脸脐腊脏卧临台与兴举旧铺馆舱舰艰艳兹荆庄茎荚华烟莱万叶着苇药荤搜苍席盖莲卜参蒋葱荫荡芜萧蓟姜蔷荐萨苔蓝艺药蕴蔼芦苏蕴苹兰萝处虚虏号亏蜕蚀虾虱蜗蚂萤蛰蝉虫蚁蝇蝎蜡蛊蚕蛮众蔑术同胡卫冲夹里补装里制复裤袄袜摆衬袭核见规觅视亲觉览观触订讣计讯讨训讫托记讹讶讼诀访设许诉诊注证诈评诅词咏询诣试诗诧诡话该详诛夸志认诞诱语诚诫诬误诵诲说说谁课诽谊调谆谈请谅论谍谐咨讳讽诸谚诺谋谓誊诌谎谜谤谦讲谢谣谣谬谨谩哗证讥识谭谱噪毁译议谴护誉读变谗让谰赞溪岂竖丰艳猪狸猫贝贞负财贡贫货贩贪贯责贮贰贵贬买贷费贴贸贺赂赁贿资贾贼赊宾赐赏赔贤卖贱赋质账赌赖赚购赛赘赠赞赡赢赃赎赣赃赶赵趋迹践逾踊迹踪踌跃蹿躯车轧轨军轩软轴较载挽辅轻辆辉辊辈轮辑输辐辗舆辖辕转辙轿轰办辞辫辩农回径这连周进游运过达违遥逊递远溯适迟绕迁选遗辽迈还边逻邮乡邹郧邓郑邻郸酝丑酝糖医酱酿衅释厘钉针钓扣钒钎钥钠钝钩钞钮钧钟钙铃铀钾巨钻铂钳铆铅钵钩铰铬银铜铣铭衔铱锐销锈锑铝锌钡锋锄铺锐锯钢录锥锤锭钱锦锚锡错录锰表锨炼锅镀铡锻锹键锗针钟镁镑镰锁锤钨镐镇镇镍旋链铲镜锈镣钟镰镭铁铸鉴鉴钥镶镊锣钻凿长门闪闭开闰闲闲间闸阂阁合阀闺闽阅阅阉阎板暗阔阑闯关阐辟陕升阵阴陈陆阳队阶陨际随险隐陇隶只虽双雏杂鸡离难云电沾雾灵静巩秋千韦韧韩韵响页顶顷项顺须颂预顽颁顿颇领颐头颊颈颓频颓颗题额颜颜愿颠类顾颤显颅颧风台刮飘飞饥饭饮饲饱饰饺饼养饵馁饿余饯馅馆糊喂馏馒馈饥饶馋马驭冯驮驰驯驳驻驹驾驶驼骂骇骆骏骋骑骗腾骚骡驱骄验惊骤驴肮脏体发松胡须斗闹哄郁鱼鲁鲍鲜鲤鲸鳃鳖鳞鸟凤鸣鸦鸵鸳鸯鸭鸿鸽鹃鹅鹏雕鹊鹤鸡鸥鹰卤咸碱盐丽麦面面曲曲面么么黄点党霉冬齐斋齿龄出啮龋龙庞龚龟";
+
+const worker = {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
     const path = url.pathname;
     
-    let apiKey;
+    // Only the Gemini provider needs this; others are configured through AI_PROVIDERS.
+    let apiKey = "";
     try {
-      apiKey = await env.GEMINI_API_KEY.get();
-    } catch (e) {
-      return new Response("Secret Error: GEMINI_API_KEY binding required.", { status: 500 });
-    }
+      apiKey = await this.getSecret(env, "GEMINI_API_KEY");
+    } catch (e) {}
 
     if (path.startsWith('/debug/')) return await this.handleDebug(path, request, apiKey, env, ctx);
-    if (path.startsWith('/image/')) return await this.handleImageProxy(url, request);
-    if (path === "/" || path === "") return await this.handleUnifiedFeed(request);
+    if (path.startsWith('/image/')) return await this.handleImageProxy(url, request, env, ctx);
+    if (path.startsWith('/admin/')) return await this.handleAdmin(path, request, env);
+    if (path.startsWith('/api/')) return await this.handleUserAPI(path, request, env);
+    if (path.startsWith('/login/')) return await this.handleLogin(path, request, env);
+    if (path === '/account') return await this.handleAccountPage(request, env);
+    if (path === '/manifest.webmanifest' || path === '/icon.svg' || path === '/sw.js') return this.handlePWA(path);
+    if (path === "/" || path === "") return await this.handleUnifiedFeed(request, env);
+    if (path === '/search' || path === '/search.json') return await this.handleSearch(url, request, env);
+    if (path.startsWith('/archive')) return await this.handleArchive(path, request, env);
+    if (/^\/feed\.(xml|atom|json)$/.test(path)) return await this.handleOutboundFeed(url, request, env, ctx);
+    if (path === '/cluster') return await this.handleClusterSummary(url, request, apiKey, env, ctx);
     if (path.startsWith('/summary/')) return await this.handleSummary(path, request, apiKey, env, ctx);
     if (path.startsWith('/article/')) return await this.handleArticle(path, request, apiKey, env, ctx);
 
@@ -58,92 +171,981 @@ export default {
     );
   },
 
-  async handleUnifiedFeed(request) {
-    const sources = [
-      { name: "纽约时报", url: "https://cn.nytimes.com/rss/", color: "text-slate-900", domain: "cn.nytimes.com" },
-      { name: "法广", url: "https://www.rfi.fr/cn/rss", color: "text-red-600", domain: "www.rfi.fr" },
-      { name: "法广", url: "https://www.rfi.fr/cn/%E7%BE%8E%E6%B4%B2/rss", color: "text-red-600", domain: "www.rfi.fr" },
-      { name: "法广", url: "https://www.rfi.fr/cn/%E4%B8%AD%E5%9B%BD/rss", color: "text-red-600", domain: "www.rfi.fr" },
-      { name: "法广", url: "https://www.rfi.fr/cn/%E6%B8%AF%E6%BE%B3%E5%8F%B0/rss", color: "text-red-600", domain: "www.rfi.fr" },
-      { name: "法广", url: "https://www.rfi.fr/cn/%E4%BA%9A%E6%B4%B2/rss", color: "text-red-600", domain: "www.rfi.fr" },
-      { name: "BBC", url: "https://feeds.bbci.co.uk/zhongwen/trad/rss.xml", color: "text-orange-700", domain: "feeds.bbci.co.uk" },
-      { name: "亚广", url: "https://www.rfa.org/arc/outboundfeeds/mandarin/rss/", color: "text-orange-600", domain: "www.rfa.org" },
-      { name: "大纪元", url: "https://feed.epochtimes.com/gb/nsc418.htm/feed", color: "text-blue-600", domain: "feed.epochtimes.com" },
-      { name: "大纪元", url: "https://www.epochtimes.com/gb/nsc412.htm/feed", color: "text-blue-600", domain: "feed.epochtimes.com" },
-      { name: "大纪元", url: "https://www.epochtimes.com/gb/nsc413.htm/feed", color: "text-blue-600", domain: "feed.epochtimes.com" },
-      { name: "大纪元", url: "https://www.epochtimes.com/gb/nsc419.htm/feed", color: "text-blue-600", domain: "feed.epochtimes.com" },
-      { name: "大纪元", url: "https://www.epochtimes.com/gb/nsc420.htm/feed", color: "text-blue-600", domain: "feed.epochtimes.com" },
-      { name: "美国之音", url: "https://www.voachinese.com/api/zm_yql-vomx-tpeybti", color: "text-sky-800", domain: "www.voachinese.com" }
-    ];
+  async handleUnifiedFeed(request, env) {
+    const view = new URL(request.url).searchParams.get('view') || '';
+    const session = await this.getSession(request, env);
+    const state = session ? await this.getUserState(env, session.userId) : null;
+    const htmlHeaders = { "Content-Type": "text/html; charset=UTF-8", "Cache-Control": "private, no-store" };
 
-    const feedResults = await Promise.all(
+    if (state && view === 'saved') {
+      const saved = Object.values(state.saved).sort((a, b) => b.savedAt - a.savedAt);
+      return new Response(this.renderHome(saved, { state, view }), { headers: htmlHeaders });
+    }
+
+    const allNews = await this.getMergedNews(request, env);
+
+    const threshold = parseFloat(env.CLUSTER_THRESHOLD) || 0.5;
+    let news = this.clusterNews(state ? allNews.filter(i => !this.isMuted(i, state)) : allNews, threshold);
+    if (state && view === 'unread') news = news.filter(i => !state.read[btoa(i.link)]);
+    return new Response(this.renderHome(news, { state, view: state ? view : '' }), { headers: htmlHeaders });
+  },
+
+  // Fetches every enabled source, keeping the per-source outcome for the status page.
+  async fetchSources(request, env) {
+    const sources = (await this.getSources(env)).filter(src => src.enabled !== false);
+    return await Promise.all(
       sources.map(async (src) => {
+        const started = Date.now();
         try {
           const res = await fetch(src.url, { 
             headers: this.getStealthHeaders(request, src.domain),
             cf: { cacheTtl: 600 } 
           });
-          return this.parseRSS(await res.text(), src);
-        } catch (e) { return []; }
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return { src, items: this.parseFeed(await res.text(), src), ms: Date.now() - started };
+        } catch (e) { return { src, items: [], error: e.message, ms: Date.now() - started }; }
       })
     );
+  },
 
-    // Flatten, Sort by Time, then Dedupe by Link
-    const rawFlattened = feedResults.flat().sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  // Flatten, Sort by Time, then Dedupe by Link
+  mergeNews(items) {
+    const rawFlattened = items.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
     const seenUrls = new Set();
-    const allNews = rawFlattened.filter(item => {
+    return rawFlattened.filter(item => {
       if (seenUrls.has(item.link)) return false;
       seenUrls.add(item.link);
       return true;
     });
+  },
 
-    return new Response(this.renderHome(allNews), { headers: { "Content-Type": "text/html; charset=UTF-8" } });
+  // Served from the cron-built index while it is fresh (INDEX_MAX_AGE seconds), live otherwise.
+  async getMergedNews(request, env) {
+    const maxAge = (parseInt(env.INDEX_MAX_AGE, 10) || 1800) * 1000;
+    const index = await env.NEWS_CONFIG.get("index", "json");
+    if (index && Date.now() - index.updated < maxAge) {
+      const enabled = new Set((await this.getSources(env)).filter(s => s.enabled !== false).map(s => s.id));
+      return index.items.filter(i => enabled.has(i.sourceId));
+    }
+    const results = await this.fetchSources(request, env);
+    return this.mergeNews(results.flatMap(r => r.items));
   },
 
-  parseRSS(xml, source) {
-    const items = xml.match(/<item>[\s\S]*?<\/item>/g) || [];
-    const newsItems = [];
+  /**
+   * Cron trigger entry point (every 5-10 minutes is plenty): refreshes the merged index in
+   * NEWS_CONFIG and pre-summarizes queued items so /summary/ is usually a KV hit.
+   */
+  async scheduled(controller, env, ctx) {
+    await this.runPrefetch(env, ctx, controller.cron);
+  },
 
-    for (const item of items) {
-      if (source.domain.includes("epochtimes.com")) {
-        const isShenYun = /<category>(?:<!\[CDATA\[)?神韵(?:\]\]>)?<\/category>/i.test(item);
-        if (isShenYun) continue;
+  async runPrefetch(env, ctx, cron = "") {
+    const started = Date.now();
+    const num = (v, d) => { const n = parseInt(v, 10); return Number.isFinite(n) && n >= 0 ? n : d; };
+    const budget = num(env.PREFETCH_BUDGET, 10);
+    const concurrency = Math.max(1, num(env.PREFETCH_CONCURRENCY, 2));
+    const delay = num(env.PREFETCH_DELAY_MS, 1000);
+    const deadline = started + num(env.PREFETCH_MAX_MS, 240000);
+
+    let apiKey = "";
+    try { apiKey = await this.getSecret(env, "GEMINI_API_KEY"); } catch (e) {}
+    const request = new Request("https://smartnews.invalid/", { headers: { "User-Agent": "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15" } });
+    const prev = (await env.NEWS_CONFIG.get("status", "json")) || { sources: {} };
+
+    try {
+      const results = await this.fetchSources(request, env);
+      const items = this.mergeNews(results.flatMap(r => r.items));
+      const oldIndex = await env.NEWS_CONFIG.get("index", "json");
+      const known = new Set((oldIndex?.items || []).map(i => i.link));
+      const newItems = items.filter(i => i.link !== "#" && !known.has(i.link));
+      await env.NEWS_CONFIG.put("index", JSON.stringify({ updated: Date.now(), items }));
+      let archiveError = "";
+      if (env.ARCHIVE_DB && newItems.length) await this.archiveItems(env, newItems).catch(e => { archiveError = e.message; });
+
+      // Newest first; anything that dropped out of every feed is no longer worth summarizing.
+      const live = new Set(items.map(i => i.link));
+      const queue = [...new Set([...newItems.map(i => i.link), ...((await env.NEWS_CONFIG.get("queue", "json")) || [])])].filter(l => live.has(l));
+
+      let attempts = 0, summarized = 0, alreadyCached = 0;
+      const failures = [];
+      const drainQueue = async () => {
+        while (queue.length && attempts < budget && Date.now() < deadline) {
+          const link = queue.shift();
+          const targetUrl = `https://${link.replace('/article/', '')}`;
+          if (await env.AI_SUMMARY.get(this.summaryKey(targetUrl))) { alreadyCached++; continue; }
+          // Re-checked after the await: a parallel drainQueue may have used up the budget meanwhile.
+          if (attempts >= budget) { queue.unshift(link); break; }
+          attempts++;
+          try {
+            const data = await this._getArticleData(targetUrl, request, apiKey, env, ctx);
+            if (data.summary_points.length) summarized++;
+            else failures.push({ link, error: "Empty summary" });
+          } catch (e) {
+            failures.push({ link, error: e.message });
+          }
+          if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      };
+      await Promise.all(Array.from({ length: concurrency }, drainQueue));
+
+      const sources = {};
+      for (const r of results) {
+        const before = prev.sources?.[r.src.id] || {};
+        sources[r.src.id] = {
+          name: r.src.name, url: r.src.url, ok: !r.error, error: r.error || "", items: r.items.length, ms: r.ms,
+          lastSuccess: r.error ? before.lastSuccess || 0 : Date.now(),
+          consecutiveFailures: r.error ? (before.consecutiveFailures || 0) + 1 : 0
+        };
       }
 
-      const title = (item.match(/<title><!\[CDATA\[([\s\S]*?)\]\]><\/title>/) || item.match(/<title>([\s\S]*?)<\/title>/))?.[1] || "No Title";
-      let link = (item.match(/<link><!\[CDATA\[([\s\S]*?)\]\]><\/link>/) || item.match(/<link>([\s\S]*?)<\/link>/))?.[1] || "";
-      const pubDate = (item.match(/<pubDate>([\s\S]*?)<\/pubDate>/))?.[1] || "";
-      
-      const mediaMatch = item.match(/<(?:media:thumbnail|media:content|enclosure)[^>]*url=["']([\s\S]*?)["']/) || 
-                         item.match(/<img[^>]*src=["']([\s\S]*?)["']/);
-      
+      await env.NEWS_CONFIG.put("queue", JSON.stringify(queue));
+      await env.NEWS_CONFIG.put("status", JSON.stringify({
+        lastRun: { started, finished: Date.now(), cron, items: items.length, newItems: newItems.length, attempts, summarized, alreadyCached, archiveError, failures: failures.slice(0, 25) },
+        queueDepth: queue.length,
+        sources
+      }));
+    } catch (e) {
+      await env.NEWS_CONFIG.put("status", JSON.stringify({ ...prev, lastRun: { started, finished: Date.now(), cron, error: e.message } }));
+      throw e;
+    }
+  },
+
+  /**
+   * /feed.xml (RSS 2.0), /feed.atom and /feed.json over the merged stream. Filters: ?source=
+   * (comma-separated names or ids), ?q= keyword, ?hours= time window, ?limit= (default 50).
+   * Responses are edge-cached for 5 minutes and honour If-None-Match. If-Modified-Since is
+   * ignored: a summary finishing changes the body without a newer item timestamp.
+   */
+  async handleOutboundFeed(workerUrl, request, env, ctx) {
+    const cache = caches.default;
+    const cacheKey = new Request(workerUrl.toString(), { method: "GET" });
+    let response = await cache.match(cacheKey);
+
+    if (!response) {
+      const params = workerUrl.searchParams;
+      const format = workerUrl.pathname.split('.').pop();
+      const sources = await this.getSources(env);
+      const wanted = (params.get('source') || '').split(',').map(s => s.trim()).filter(Boolean);
+      const wantedNames = new Set(wanted.flatMap(w => [w, ...sources.filter(s => s.id === w).map(s => s.name)]));
+      const keyword = this.toSimplified((params.get('q') || '').trim().toLowerCase());
+      const hours = parseFloat(params.get('hours'));
+      const since = Number.isFinite(hours) && hours > 0 ? Date.now() - hours * 3600 * 1000 : 0;
+      const limit = Math.min(Math.max(parseInt(params.get('limit'), 10) || 50, 1), 200);
+
+      const items = (await this.getMergedNews(request, env))
+        .filter(i => i.link !== "#")
+        .filter(i => !wantedNames.size || wantedNames.has(i.source))
+        .filter(i => !keyword || this.toSimplified(`${i.title} ${i.excerpt || ''}`.toLowerCase()).includes(keyword))
+        .filter(i => !since || i.timestamp >= since)
+        .slice(0, limit);
+
+      const entries = await Promise.all(items.map(async (i) => {
+        const original = `https://${i.link.replace('/article/', '')}`;
+        const cached = await env.AI_SUMMARY.get(this.summaryKey(original));
+        return { ...i, original, url: `${workerUrl.origin}${i.link}`, imageUrl: i.image ? `${workerUrl.origin}${i.image}` : "", summary: cached ? JSON.parse(cached) : [] };
+      }));
+
+      const lastModified = entries.reduce((max, e) => Math.max(max, e.timestamp || 0), 0) || Date.now();
+      const etag = `W/"${(await this.sha256Hex(format + workerUrl.search + entries.map(e => `${e.link}|${e.timestamp}|${e.summary.length}`).join('\n'))).substring(0, 32)}"`;
+      const { body, contentType } = this.renderOutboundFeed(format, entries, workerUrl, lastModified);
+
+      response = new Response(body, {
+        headers: {
+          "Content-Type": contentType,
+          "ETag": etag,
+          "Last-Modified": new Date(lastModified).toUTCString(),
+          "Cache-Control": "public, max-age=300, s-maxage=300"
+        }
+      });
+      ctx.waitUntil(cache.put(cacheKey, response.clone()));
+    }
+
+    const etag = response.headers.get("ETag");
+    const ifNoneMatch = request.headers.get("If-None-Match") || "";
+    if (ifNoneMatch.split(',').map(t => t.trim()).some(t => t === etag || t === '*' || t.replace(/^W\//, '') === etag.replace(/^W\//, ''))) {
+      return new Response(null, { status: 304, headers: { "ETag": etag, "Last-Modified": response.headers.get("Last-Modified"), "Cache-Control": response.headers.get("Cache-Control") } });
+    }
+    return response;
+  },
+
+  renderOutboundFeed(format, entries, workerUrl, lastModified) {
+    const x = (str) => this.escapeHTML(String(str ?? "").replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, ''));
+    const selfUrl = workerUrl.toString();
+    const summaryHtml = (e) => `${e.summary.length ? `<ul>${e.summary.map(p => `<li>${this.escapeHTML(p)}</li>`).join('')}</ul>` : ''}${e.excerpt ? `<p>${this.escapeHTML(e.excerpt)}</p>` : ''}<p><a href="${this.escapeHTML(e.original)}">${this.escapeHTML(e.source)} 原文</a></p>`;
+
+    if (format === "json") {
+      return {
+        contentType: "application/feed+json; charset=UTF-8",
+        body: JSON.stringify({
+          version: "https://jsonfeed.org/version/1.1",
+          title: "SmartNews 智能新闻",
+          home_page_url: `${workerUrl.origin}/`,
+          feed_url: selfUrl,
+          items: entries.map(e => ({
+            id: e.original,
+            url: e.url,
+            external_url: e.original,
+            title: e.title,
+            content_html: summaryHtml(e),
+            summary: e.summary.join(" ") || e.excerpt || undefined,
+            image: e.imageUrl || undefined,
+            date_published: e.timestamp ? new Date(e.timestamp).toISOString() : undefined,
+            authors: [{ name: e.author || e.source }],
+            tags: [e.source, ...(e.categories || [])],
+            _smartnews: { source: e.source, summary_points: e.summary }
+          }))
+        }, null, 2)
+      };
+    }
+
+    if (format === "atom") {
+      return {
+        contentType: "application/atom+xml; charset=UTF-8",
+        body: `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+<title>SmartNews 智能新闻</title>
+<id>${x(`${workerUrl.origin}/`)}</id>
+<link rel="self" href="${x(selfUrl)}"/>
+<link rel="alternate" href="${x(`${workerUrl.origin}/`)}"/>
+<updated>${new Date(lastModified).toISOString()}</updated>
+${entries.map(e => `<entry>
+<title>${x(e.title)}</title>
+<id>${x(e.original)}</id>
+<link rel="alternate" href="${x(e.url)}"/>
+<link rel="via" href="${x(e.original)}"/>
+<updated>${new Date(e.timestamp || lastModified).toISOString()}</updated>
+<author><name>${x(e.author || e.source)}</name></author>
+${[e.source, ...(e.categories || [])].map(c => `<category term="${x(c)}"/>`).join('')}
+${e.imageUrl ? `<media:thumbnail url="${x(e.imageUrl)}"/>` : ''}
+<summary type="html">${x(summaryHtml(e))}</summary>
+</entry>`).join('\n')}
+</feed>`
+      };
+    }
+
+    return {
+      contentType: "application/rss+xml; charset=UTF-8",
+      body: `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+<channel>
+<title>SmartNews 智能新闻</title>
+<link>${x(`${workerUrl.origin}/`)}</link>
+<atom:link rel="self" type="application/rss+xml" href="${x(selfUrl)}"/>
+<description>Merged, deduplicated news stream with AI summaries</description>
+<language>zh-cn</language>
+<lastBuildDate>${new Date(lastModified).toUTCString()}</lastBuildDate>
+${entries.map(e => `<item>
+<title>${x(e.title)}</title>
+<link>${x(e.url)}</link>
+<guid isPermaLink="true">${x(e.original)}</guid>
+${e.timestamp ? `<pubDate>${new Date(e.timestamp).toUTCString()}</pubDate>` : ''}
+<dc:creator>${x(e.author || e.source)}</dc:creator>
+${[e.source, ...(e.categories || [])].map(c => `<category>${x(c)}</category>`).join('')}
+${e.imageUrl ? `<media:thumbnail url="${x(e.imageUrl)}"/>` : ''}
+<description>${x(summaryHtml(e))}</description>
+</item>`).join('\n')}
+</channel>
+</rss>`
+    };
+  },
+
+  /**
+   * Normalizes RSS 2.0, RSS 1.0/RDF, Atom and JSON Feed documents into
+   * { title, link, image, source, color, timestamp, excerpt, author, categories }.
+   */
+  parseFeed(body, source) {
+    const text = body.replace(/^\uFEFF/, '').trim();
+    let entries;
+    if (text.startsWith('{')) {
+      entries = this.parseJSONFeed(text);
+    } else if (/<feed[\s>]/.test(text) && !/<(?:rss|rdf:RDF)[\s>]/.test(text)) {
+      entries = this.parseAtom(text);
+    } else {
+      entries = this.parseRSSItems(text);
+    }
+
+    const skipCategories = source.filters?.skipCategories || [];
+    const skipKeywords = source.filters?.skipKeywords || [];
+    const newsItems = [];
+
+    for (const entry of entries) {
+      if (entry.categories.some(c => skipCategories.includes(c))) continue;
+      const title = entry.title || "No Title";
+      if (skipKeywords.some(k => k && title.includes(k))) continue;
+
       let articlePath = "#";
-      if (link) {
+      if (entry.link) {
         try {
-          const u = new URL(link.trim());
+          const u = new URL(entry.link.trim());
           if (u.hostname.includes("bbc.com") && u.pathname.endsWith("/trad")) {
             u.pathname = u.pathname.replace(/\/trad$/, '/simp');
           }
           articlePath = `/article/${u.hostname}${u.pathname}`;
         } catch(e) {}
       }
+      const ts = entry.date ? new Date(entry.date.trim()).getTime() : 0;
       newsItems.push({ 
-        title: title.trim(), 
+        title, 
         link: articlePath, 
-        image: mediaMatch ? `/image/${mediaMatch[1].replace(/^https?:\/\//, '')}` : "", 
+        image: entry.image ? `/image/${entry.image.trim().replace(/^(?:https?:)?\/\//, '')}` : "", 
         source: source.name, 
+        sourceId: source.id,
         color: source.color, 
-        timestamp: pubDate ? new Date(pubDate).getTime() : 0 
+        timestamp: Number.isFinite(ts) ? ts : 0,
+        excerpt: entry.excerpt.length > 280 ? entry.excerpt.substring(0, 280) + "…" : entry.excerpt,
+        author: entry.author,
+        categories: entry.categories
       });
     }
     return newsItems;
   },
 
+  // RSS 2.0 and RSS 1.0/RDF share <item>; RDF keeps items outside <channel> and dates in dc:date.
+  parseRSSItems(xml) {
+    const items = xml.match(/<item(?:\s[^>]*)?>[\s\S]*?<\/item>/g) || [];
+    return items.map(item => {
+      const descHtml = this.xmlValue(item, "description");
+      const contentHtml = this.xmlValue(item, "content:encoded");
+      return {
+        title: this.xmlText(item, "title"),
+        link: this.xmlText(item, "link") || this.xmlAttr(item, "item", "rdf:about") || (/isPermaLink=["']false["']/.test(item) ? "" : this.xmlText(item, "guid")),
+        date: this.xmlText(item, "pubDate") || this.xmlText(item, "dc:date") || this.xmlText(item, "published"),
+        image: this.xmlAttr(item, "media:thumbnail", "url") || this.xmlAttr(item, "media:content", "url", /medium=["']image|type=["']image/) ||
+               this.xmlAttr(item, "enclosure", "url", /type=["']image/) || this.xmlAttr(item, "itunes:image", "href") ||
+               this.firstImage(contentHtml) || this.firstImage(descHtml),
+        excerpt: this.htmlToText(descHtml || contentHtml),
+        author: this.xmlText(item, "dc:creator") || this.xmlText(item, "author"),
+        categories: this.xmlAll(item, "category").map(c => c.replace(/\s+/g, ' ').trim()).filter(Boolean)
+      };
+    });
+  },
+
+  parseAtom(xml) {
+    const entries = xml.match(/<entry(?:\s[^>]*)?>[\s\S]*?<\/entry>/g) || [];
+    return entries.map(entry => {
+      const links = entry.match(/<link\b[^>]*>/g) || [];
+      const attr = (tag, name) => this.decodeEntities((tag.match(new RegExp(`\\s${name}=["']([^"']*)["']`)) || [])[1] || "");
+      const alternate = links.find(l => !/\srel=/.test(l) || /\srel=["']alternate["']/.test(l));
+      const enclosure = links.find(l => /\srel=["']enclosure["']/.test(l) && /\stype=["']image/.test(l));
+      const summaryHtml = this.xmlValue(entry, "summary");
+      const contentHtml = this.xmlValue(entry, "content");
+      const authorBlock = this.xmlRaw(entry, "author");
+      return {
+        title: this.xmlText(entry, "title"),
+        link: alternate ? attr(alternate, "href") : "",
+        date: this.xmlText(entry, "published") || this.xmlText(entry, "updated"),
+        image: (enclosure ? attr(enclosure, "href") : "") || this.xmlAttr(entry, "media:thumbnail", "url") || this.xmlAttr(entry, "media:content", "url") ||
+               this.firstImage(contentHtml) || this.firstImage(summaryHtml),
+        excerpt: this.xmlText(entry, "summary") || this.xmlText(entry, "content"),
+        author: authorBlock ? (this.xmlText(authorBlock, "name") || this.htmlToText(authorBlock)) : "",
+        categories: (entry.match(/<category\b[^>]*>/g) || []).map(c => attr(c, "label") || attr(c, "term")).filter(Boolean)
+      };
+    });
+  },
+
+  parseJSONFeed(text) {
+    let feed;
+    try { feed = JSON.parse(text); } catch (e) { return []; }
+    return (Array.isArray(feed.items) ? feed.items : []).map(item => {
+      const authors = item.authors || (item.author ? [item.author] : feed.authors || []);
+      return {
+        title: String(item.title || "").replace(/\s+/g, ' ').trim(),
+        link: item.url || item.external_url || (/^https?:/.test(item.id || "") ? item.id : ""),
+        date: item.date_published || item.date_modified || "",
+        image: item.image || item.banner_image || this.firstImage(item.content_html || ""),
+        excerpt: item.summary || item.content_text ? String(item.summary || item.content_text).replace(/\s+/g, ' ').trim() : this.htmlToText(item.content_html || ""),
+        author: authors.map(a => a.name).filter(Boolean).join(", "),
+        categories: Array.isArray(item.tags) ? item.tags.map(String) : []
+      };
+    });
+  },
+
+  // Inner content of the first <tag>…</tag>, CDATA unwrapped but entities left as-is.
+  xmlRaw(block, tag) {
+    const m = block.match(new RegExp(`<${tag}(?:\\s[^>]*)?(?<!/)>([\\s\\S]*?)</${tag}>`));
+    return m ? m[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').trim() : "";
+  },
+
+  // Element content per XML rules: entities decoded once, CDATA sections taken verbatim.
+  xmlValue(block, tag) {
+    const m = block.match(new RegExp(`<${tag}(?:\\s[^>]*)?(?<!/)>([\\s\\S]*?)</${tag}>`));
+    return m ? this.xmlDecode(m[1]) : "";
+  },
+
+  xmlDecode(inner) {
+    return inner.split(/<!\[CDATA\[([\s\S]*?)\]\]>/).map((part, n) => n % 2 ? part : this.decodeEntities(part)).join('').trim();
+  },
+
+  xmlAll(block, tag) {
+    return [...block.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?(?<!/)>([\\s\\S]*?)</${tag}>`, 'g'))].map(m => this.xmlDecode(m[1]));
+  },
+
+  // Plain-text elements are taken as-is; only Atom text constructs typed html/xhtml carry markup.
+  xmlText(block, tag) {
+    const type = (block.match(new RegExp(`<${tag}\\s[^>]*\\btype=["']([^"']*)["']`)) || [])[1];
+    if (type === 'xhtml') return this.htmlToText(this.xmlRaw(block, tag));
+    const value = this.xmlValue(block, tag);
+    return type === 'html' ? this.htmlToText(value) : value.replace(/\s+/g, ' ').trim();
+  },
+
+  xmlAttr(block, tag, attr, mustMatch) {
+    for (const m of block.matchAll(new RegExp(`<${tag}\\s[^>]*>`, 'g'))) {
+      if (mustMatch && !mustMatch.test(m[0])) continue;
+      const v = m[0].match(new RegExp(`\\s${attr}=["']([^"']*)["']`));
+      if (v) return this.decodeEntities(v[1]);
+    }
+    return "";
+  },
+
+  firstImage(html) {
+    const m = html.match(/<img[^>]*?\s(?:data-src|src)=["']([^"']+)["']/);
+    return m && !m[1].startsWith('data:') ? this.decodeEntities(m[1]) : "";
+  },
+
+  htmlToText(html) {
+    return this.decodeEntities(html.replace(/<(script|style)[\s\S]*?<\/\1>/gi, '').replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+  },
+
+  decodeEntities(str) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', hellip: '…', mdash: '—', ndash: '–', ldquo: '“', rdquo: '”', lsquo: '‘', rsquo: '’', middot: '·', laquo: '«', raquo: '»', copy: '©', reg: '®', trade: '™', bull: '•' };
+    return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, code) => {
+      if (code[0] === '#') {
+        const n = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return n > 0 && n <= 0x10FFFF ? String.fromCodePoint(n) : whole;
+      }
+      return named[code.toLowerCase()] ?? whole;
+    });
+  },
+
+  async sha256Hex(str) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(str));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+  },
+
+  escapeHTML(str) {
+    return String(str ?? "").replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  },
+
+  async getSources(env) {
+    const stored = await env.NEWS_CONFIG.get("sources", "json");
+    return Array.isArray(stored) ? stored : structuredClone(DEFAULT_SOURCES);
+  },
+
+  normalizeSource(input) {
+    const u = new URL(String(input.url || "").trim());
+    if (u.protocol !== "https:" && u.protocol !== "http:") throw new Error("Feed URL must be http(s)");
+    const list = (v) => (Array.isArray(v) ? v : String(v || "").split(",")).map(x => String(x).trim()).filter(Boolean);
+    return {
+      id: String(input.id || "").trim() || crypto.randomUUID().slice(0, 8),
+      name: String(input.name || "").trim() || u.hostname,
+      url: u.toString(),
+      color: String(input.color || "").trim() || "text-slate-900",
+      domain: String(input.domain || "").trim() || u.hostname,
+      enabled: input.enabled !== false,
+      filters: { skipCategories: list(input.filters?.skipCategories), skipKeywords: list(input.filters?.skipKeywords) }
+    };
+  },
+
+  async handleAdmin(path, request, env) {
+    const password = await this.getSecret(env, "ADMIN_PASSWORD");
+    if (!password) return new Response("Admin disabled: ADMIN_PASSWORD binding required.", { status: 503 });
+
+    const auth = request.headers.get("Authorization") || "";
+    let supplied = "";
+    try { supplied = atob(auth.replace(/^Basic\s+/i, "")).split(":").slice(1).join(":"); } catch (e) {}
+    if (!auth.startsWith("Basic ") || !this.safeEqual(supplied, password)) {
+      return new Response("Unauthorized", { status: 401, headers: { "WWW-Authenticate": 'Basic realm="SmartNews Admin", charset="UTF-8"' } });
+    }
+
+    const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+    const method = request.method;
+
+    // Basic auth credentials ride along on cross-site requests too; only our own JSON calls may write.
+    if (method === "POST" || method === "DELETE") {
+      if (!/^application\/json\b/i.test(request.headers.get("Content-Type") || "") || !this.isSameOrigin(request)) return json({ error: "Cross-origin request rejected" }, 403);
+    }
+
+    try {
+      if (path === "/admin/sources" && method === "GET") {
+        return new Response(this.renderAdminSources(), { headers: { "Content-Type": "text/html; charset=UTF-8" } });
+      }
+
+      if (path === "/admin/api/sources" && method === "GET") return json(await this.getSources(env));
+
+      if (path === "/admin/status" && method === "GET") {
+        const [status, index] = await Promise.all([env.NEWS_CONFIG.get("status", "json"), env.NEWS_CONFIG.get("index", "json")]);
+        return new Response(this.renderStatus(status, index), { headers: { "Content-Type": "text/html; charset=UTF-8" } });
+      }
+
+      if (path === "/admin/api/status" && method === "GET") return json((await env.NEWS_CONFIG.get("status", "json")) || {});
+
+      if (path === "/admin/api/sources" && method === "POST") {
+        const src = this.normalizeSource(await request.json());
+        const sources = await this.getSources(env);
+        const idx = sources.findIndex(s => s.id === src.id);
+        if (idx >= 0) sources[idx] = src; else sources.push(src);
+        await env.NEWS_CONFIG.put("sources", JSON.stringify(sources));
+        return json(src);
+      }
+
+      if (path.startsWith("/admin/api/sources/") && method === "DELETE") {
+        const id = decodeURIComponent(path.replace("/admin/api/sources/", ""));
+        const sources = await this.getSources(env);
+        const remaining = sources.filter(s => s.id !== id);
+        if (remaining.length === sources.length) return json({ error: "Unknown source" }, 404);
+        await env.NEWS_CONFIG.put("sources", JSON.stringify(remaining));
+        return json({ deleted: id });
+      }
+
+      // Live preview: fetch the feed exactly as the home page would and run it through the parser.
+      if (path === "/admin/api/test" && method === "POST") {
+        const src = this.normalizeSource(await request.json());
+        const started = Date.now();
+        const res = await fetch(src.url, { headers: this.getStealthHeaders(request, src.domain) });
+        const body = await res.text();
+        const items = this.parseFeed(body, src);
+        return json({ status: res.status, contentType: res.headers.get("Content-Type"), bytes: body.length, ms: Date.now() - started, count: items.length, items: items.slice(0, 20) });
+      }
+    } catch (e) {
+      return json({ error: e.message }, 400);
+    }
+
+    return json({ error: "Not Found" }, 404);
+  },
+
+  toSimplified(str) {
+    if (!this._t2s) {
+      this._t2s = new Map();
+      for (let i = 0; i < T2S_TRAD.length; i++) this._t2s.set(T2S_TRAD[i], T2S_SIMP[i]);
+    }
+    let out = "";
+    for (const ch of str) out += this._t2s.get(ch) || ch;
+    return out;
+  },
+
+  // Character bigrams over the simplified, punctuation-free title; works for CJK without word segmentation.
+  titleShingles(title) {
+    const norm = this.toSimplified(title.toLowerCase())
+      .replace(/^(?:快讯|视频|独家|直播|更新|分析|评论)[:：|｜]/, '')
+      .replace(/[^\p{L}\p{N}]+/gu, '');
+    const grams = new Set();
+    for (let i = 0; i < norm.length - 1; i++) grams.add(norm.substring(i, i + 2));
+    return grams;
+  },
+
+  titleSimilarity(a, b) {
+    if (!a.size || !b.size) return 0;
+    let shared = 0;
+    for (const g of a) if (b.has(g)) shared++;
+    return (2 * shared) / (a.size + b.size);
+  },
+
+  /**
+   * Greedy single-pass clustering over time-sorted items. An item joins the cluster holding
+   * its most similar title (Dice over bigrams) if it clears the threshold and is within 48h.
+   * Returns plain items for singletons and the newest member (preferring one with an image)
+   * with a `cluster` array for groups.
+   */
+  clusterNews(items, threshold = 0.5) {
+    const windowMs = 48 * 3600 * 1000;
+    const clusters = [];
+    for (const item of items) {
+      const grams = this.titleShingles(item.title);
+      let best = null, bestScore = 0;
+      for (const c of clusters) {
+        if (Math.abs((c.members[0].item.timestamp || 0) - (item.timestamp || 0)) > windowMs) continue;
+        for (const m of c.members) {
+          const score = this.titleSimilarity(grams, m.grams);
+          if (score > bestScore) { bestScore = score; best = c; }
+        }
+      }
+      if (best && bestScore >= threshold) best.members.push({ item, grams });
+      else clusters.push({ members: [{ item, grams }] });
+    }
+
+    return clusters.map(c => {
+      if (c.members.length === 1) return c.members[0].item;
+      const members = c.members.map(m => m.item);
+      const lead = members.find(m => m.image) || members[0];
+      return { ...lead, timestamp: members[0].timestamp, cluster: members };
+    });
+  },
+
+  async handleClusterSummary(workerUrl, request, apiKey, env, ctx) {
+    const targets = [...new Set(workerUrl.searchParams.getAll('u'))].slice(0, 6).map(u => `https://${u.replace(/^https?:\/\//, '')}`);
+    let debugInfo = { prompt: "", raw: "" };
+    try {
+      if (targets.length < 2) throw new Error("Cluster needs at least two articles");
+      const kvKey = `cluster_${(await this.sha256Hex([...targets].sort().join('\n'))).substring(0, 40)}`;
+      const cached = await env.AI_SUMMARY.get(kvKey);
+      if (cached) return new Response(cached, { headers: { "Content-Type": "application/json" } });
+
+      const results = await Promise.allSettled(targets.map(t => this._getArticleData(t, request, apiKey, env, ctx)));
+      const articles = results.map((r, i) => r.status === "fulfilled" ? { url: targets[i], ...r.value } : null).filter(Boolean);
+      if (articles.length === 0) throw new Error("No cluster article could be fetched");
+
+      debugInfo.prompt = `[SYSTEM]: You are a news analyst comparing how different outlets cover the same event.
+[TASK]: Write 3-5 concise bullet points in Simplified Chinese (简体中文) that combine the reports below ("points").
+Then list every point where the outlets disagree or differ (facts, numbers, framing, attribution), naming the outlets ("disagreements"). Leave "disagreements" empty if they agree on everything.
+- Each entry is one plain sentence: no markdown, no numbering, no introductory text.
+
+${articles.map((a, i) => `[REPORT ${i + 1}] ${new URL(a.url).hostname}
+[TITLE]: ${a.title}
+[KEY POINTS]: ${a.summary_points.join(" / ")}
+[DATA]: ${a.paragraphs.join("\n").substring(0, 6000)}`).join("\n\n")}`;
+
+      const result = await this.callAI(debugInfo.prompt, apiKey, env, { schema: CLUSTER_SCHEMA });
+      debugInfo.raw = `[${result.provider}/${result.model}]\n${result.text}`;
+      const points = this.cleanPoints(result.json.points);
+      const disagreements = this.cleanPoints(result.json.disagreements);
+
+      const body = JSON.stringify({ points, disagreements, outlets: articles.map(a => ({ title: a.title, host: new URL(a.url).hostname })) });
+      if (points.length > 0) ctx.waitUntil(env.AI_SUMMARY.put(kvKey, body, { expirationTtl: 1209600 }));
+      return new Response(body, { headers: { "Content-Type": "application/json" } });
+    } catch (e) {
+      return this.renderDebugPage(e, debugInfo.prompt, debugInfo.raw);
+    }
+  },
+
+  getCookie(request, name) {
+    const match = (request.headers.get("Cookie") || "").match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+    return match ? decodeURIComponent(match[1]) : "";
+  },
+
+  randomToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  },
+
+  async getSession(request, env) {
+    const token = this.getCookie(request, "snr_session");
+    if (!token || !env.USER_DATA || !env.USER_STATE) return null;
+    const tokenHash = await this.sha256Hex(token);
+    const session = await env.USER_DATA.get(`session_${tokenHash}`, "json");
+    return session ? { userId: session.userId, tokenHash } : null;
+  },
+
+  // Sessions live a year; the cookie is the only copy of the token.
+  async createSession(env, userId) {
+    const token = this.randomToken();
+    await env.USER_DATA.put(`session_${await this.sha256Hex(token)}`, JSON.stringify({ userId, created: Date.now() }), { expirationTtl: 31536000 });
+    return `snr_session=${token}; Path=/; Max-Age=31536000; HttpOnly; Secure; SameSite=Lax`;
+  },
+
+  // State lives in the account's UserStateStore; a null update just reads it.
+  async userStateRequest(env, userId, update) {
+    const stub = env.USER_STATE.get(env.USER_STATE.idFromName(userId));
+    const res = await stub.fetch("https://user-state/", { method: "POST", body: JSON.stringify({ update }) });
+    if (!res.ok) throw new Error(`User state unavailable (${res.status})`);
+    return res.json();
+  },
+
+  async getUserState(env, userId) {
+    return this.userStateRequest(env, userId, null);
+  },
+
+  async updateUserState(env, userId, update) {
+    return this.userStateRequest(env, userId, update);
+  },
+
+  /**
+   * Merges a client update into the stored state. Read marks merge by id (newest wins) so
+   * devices never erase each other's history; muted lists are replaced wholesale.
+   */
+  applyStateUpdate(state, update) {
+    const str = (v, max = 400) => String(v ?? "").substring(0, max);
+    if (update.clearRead) state.read = {};
+    for (const [id, ts] of Object.entries(update.read || {}).slice(0, 500)) {
+      state.read[str(id)] = Math.max(Number(ts) || Date.now(), state.read[str(id)] || 0);
+    }
+    for (const id of (update.unread || []).slice(0, 500)) delete state.read[str(id)];
+    for (const item of (update.save || []).slice(0, 50)) {
+      if (!item?.link) continue;
+      state.saved[str(item.link)] = { link: str(item.link), title: str(item.title), source: str(item.source, 40), color: str(item.color, 40), image: str(item.image, 1000), timestamp: Number(item.timestamp) || 0, savedAt: Date.now() };
+    }
+    for (const link of (update.unsave || []).slice(0, 50)) delete state.saved[str(link)];
+    if (Array.isArray(update.mutedSources)) state.mutedSources = update.mutedSources.map(s => str(s, 40)).filter(Boolean).slice(0, 100);
+    if (Array.isArray(update.mutedKeywords)) state.mutedKeywords = update.mutedKeywords.map(s => str(s, 40).trim()).filter(Boolean).slice(0, 100);
+
+    // Feed items age out long before this, so older read marks are dead weight.
+    const cutoff = Date.now() - 45 * 86400 * 1000;
+    for (const [id, ts] of Object.entries(state.read)) if (ts < cutoff) delete state.read[id];
+    const saved = Object.values(state.saved).sort((a, b) => b.savedAt - a.savedAt).slice(0, 500);
+    state.saved = Object.fromEntries(saved.map(s => [s.link, s]));
+    state.updated = Date.now();
+    return state;
+  },
+
+  isMuted(item, state) {
+    return state.mutedSources.includes(item.source) || state.mutedKeywords.some(k => item.title.includes(k));
+  },
+
+  async handleUserAPI(path, request, env) {
+    const json = (body, status = 200, headers = {}) => new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json", "Cache-Control": "no-store", ...headers } });
+    if (!env.USER_DATA || !env.USER_STATE) return json({ error: "Accounts disabled: USER_DATA and USER_STATE bindings required." }, 503);
+    const method = request.method;
+    // SameSite=Lax doesn't cover /api/account, which hands out a fresh cookie to whoever posts.
+    if (method === "POST" && !this.isSameOrigin(request)) return json({ error: "Cross-origin request rejected" }, 403);
+
+    try {
+      if (path === "/api/account" && method === "POST") {
+        const userId = crypto.randomUUID();
+        await this.updateUserState(env, userId, {});
+        return json({ userId }, 200, { "Set-Cookie": await this.createSession(env, userId) });
+      }
+
+      const session = await this.getSession(request, env);
+      if (!session) return json({ error: "Not signed in" }, 401);
+
+      if (path === "/api/state" && method === "GET") return json(await this.getUserState(env, session.userId));
+
+      if (path === "/api/state" && method === "POST") return json(await this.updateUserState(env, session.userId, await request.json()));
+
+      // One-time, 15 minute link that signs another device into the same account.
+      if (path === "/api/account/link" && method === "POST") {
+        const token = this.randomToken();
+        await env.USER_DATA.put(`magic_${await this.sha256Hex(token)}`, session.userId, { expirationTtl: 900 });
+        return json({ url: `${new URL(request.url).origin}/login/${token}`, expiresIn: 900 });
+      }
+
+      if (path === "/api/logout" && method === "POST") {
+        await env.USER_DATA.delete(`session_${session.tokenHash}`);
+        return json({ ok: true }, 200, { "Set-Cookie": "snr_session=; Path=/; Max-Age=0; HttpOnly; Secure; SameSite=Lax" });
+      }
+    } catch (e) {
+      return json({ error: e.message }, 400);
+    }
+
+    return json({ error: "Not Found" }, 404);
+  },
+
+  // GET only shows a confirm button, so link previews in chat apps can't burn the token.
+  async handleLogin(path, request, env) {
+    const token = path.replace('/login/', '');
+    if (request.method !== "POST") {
+      return new Response(this.renderAccount({ loginToken: token }), { headers: { "Content-Type": "text/html; charset=UTF-8", "Cache-Control": "no-store" } });
+    }
+    // Otherwise another site could sign the visitor into an account it controls.
+    if (!this.isSameOrigin(request)) {
+      return new Response(this.renderAccount({ error: "请从本站打开登录链接 · Open the login link on this site" }), { status: 403, headers: { "Content-Type": "text/html; charset=UTF-8" } });
+    }
+    const key = `magic_${await this.sha256Hex(token)}`;
+    const userId = env.USER_DATA ? await env.USER_DATA.get(key) : null;
+    if (!userId) {
+      return new Response(this.renderAccount({ error: "登录链接无效或已过期 · Link expired or already used" }), { status: 400, headers: { "Content-Type": "text/html; charset=UTF-8" } });
+    }
+    await env.USER_DATA.delete(key);
+    return new Response(null, { status: 303, headers: { "Location": "/", "Set-Cookie": await this.createSession(env, userId) } });
+  },
+
+  async handleAccountPage(request, env) {
+    const session = await this.getSession(request, env);
+    const state = session ? await this.getUserState(env, session.userId) : null;
+    const sourceNames = [...new Set((await this.getSources(env)).map(s => s.name))];
+    return new Response(this.renderAccount({ state, sourceNames, enabled: !!(env.USER_DATA && env.USER_STATE) }), { headers: { "Content-Type": "text/html; charset=UTF-8", "Cache-Control": "no-store" } });
+  },
+
+  /**
+   * Lazily creates the D1 schema once per isolate. articles_search rows share the rowid of
+   * their articles row, so updates delete by rowid instead of scanning the FTS table.
+   */
+  async ensureArchive(env) {
+    if (!this._archiveReady) {
+      const db = env.ARCHIVE_DB;
+      this._archiveReady = db.batch([
+        db.prepare(`CREATE TABLE IF NOT EXISTS articles (link TEXT PRIMARY KEY, title TEXT NOT NULL, source TEXT, source_id TEXT, color TEXT, image TEXT, excerpt TEXT, summary TEXT, body TEXT, published_at INTEGER NOT NULL, seen_at INTEGER NOT NULL)`),
+        db.prepare(`CREATE INDEX IF NOT EXISTS articles_published ON articles (published_at)`),
+        db.prepare(`CREATE VIRTUAL TABLE IF NOT EXISTS articles_search USING fts5 (title, body, tokenize = 'unicode61')`)
+      ]).catch(e => { this._archiveReady = null; throw e; });
+    }
+    return this._archiveReady;
+  },
+
+  /**
+   * unicode61 treats a run of Han characters as one token, so CJK text is indexed as
+   * overlapping bigrams (after Traditional → Simplified folding); other words pass through.
+   */
+  ftsTokens(text) {
+    const out = [];
+    for (const run of this.toSimplified(String(text || "").toLowerCase()).match(/[\u3400-\u9fff]+|[\p{L}\p{N}]+/gu) || []) {
+      if (!/[\u3400-\u9fff]/.test(run) || run.length === 1) { out.push(run); continue; }
+      for (let i = 0; i < run.length - 1; i++) out.push(run.substring(i, i + 2));
+    }
+    return out.join(" ");
+  },
+
+  // Each CJK run becomes a phrase of its bigrams; single characters match as prefixes.
+  ftsQuery(q) {
+    const terms = [];
+    for (const run of this.toSimplified(q.toLowerCase()).match(/[\u3400-\u9fff]+|[\p{L}\p{N}]+/gu) || []) {
+      if (/[\u3400-\u9fff]/.test(run) && run.length === 1) terms.push(`"${run}"*`);
+      else terms.push(`"${this.ftsTokens(run)}"`);
+    }
+    return terms.join(" ");
+  },
+
+  ftsStatements(db, link, title, body) {
+    return [
+      db.prepare(`DELETE FROM articles_search WHERE rowid = (SELECT rowid FROM articles WHERE link = ?)`).bind(link),
+      db.prepare(`INSERT INTO articles_search (rowid, title, body) SELECT rowid, ?, ? FROM articles WHERE link = ?`).bind(this.ftsTokens(title), this.ftsTokens(body), link)
+    ];
+  },
+
+  // Feed-level rows from the cron run, so the archive covers items nobody opened.
+  async archiveItems(env, items) {
+    await this.ensureArchive(env);
+    const db = env.ARCHIVE_DB;
+    const now = Date.now();
+    const statements = items.filter(i => i.link !== "#").flatMap(i => [
+      db.prepare(`INSERT INTO articles (link, title, source, source_id, color, image, excerpt, published_at, seen_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (link) DO UPDATE SET title = excluded.title, source = excluded.source, source_id = excluded.source_id, color = excluded.color, image = COALESCE(NULLIF(excluded.image, ''), articles.image), excerpt = COALESCE(NULLIF(excluded.excerpt, ''), articles.excerpt)`)
+        .bind(i.link, i.title, i.source, i.sourceId || "", i.color || "", i.image || "", i.excerpt || "", i.timestamp || now, now),
+      ...this.ftsStatements(db, i.link, i.title, i.excerpt || "")
+    ]);
+    for (let n = 0; n < statements.length; n += 90) await db.batch(statements.slice(n, n + 90));
+  },
+
+  // Configured source serving an article host: same domain, or under the feed's parent domain.
+  async sourceForHost(env, hostname) {
+    const sources = await this.getSources(env);
+    const under = (host) => { const d = this.parentDomain(host); return hostname === d || hostname.endsWith(`.${d}`); };
+    return sources.find(s => s.domain === hostname) || sources.find(s => under(s.domain) || under(new URL(s.url).hostname)) || null;
+  },
+
+  archiveLink(targetUrl) {
+    const u = new URL(targetUrl);
+    return `/article/${u.hostname}${u.pathname}`;
+  },
+
+  async archiveHasBody(env, targetUrl) {
+    await this.ensureArchive(env);
+    return !!(await env.ARCHIVE_DB.prepare(`SELECT 1 FROM articles WHERE link = ? AND body IS NOT NULL`).bind(this.archiveLink(targetUrl)).first());
+  },
+
+  // Full body and summary once _getArticleData has them; keeps feed metadata if the row exists.
+  async archiveArticle(env, targetUrl, data) {
+    await this.ensureArchive(env);
+    const db = env.ARCHIVE_DB;
+    const u = new URL(targetUrl);
+    const link = this.archiveLink(targetUrl);
+    const body = data.paragraphs.join("\n");
+    // HTMLRewriter hands over the <title> text with its entities still encoded.
+    const title = this.decodeEntities(data.title);
+    const now = Date.now();
+    // Same name archiveItems stores, so the /search source filter matches either way in.
+    const src = await this.sourceForHost(env, u.hostname);
+    const [, existing] = await db.batch([
+      db.prepare(`INSERT INTO articles (link, title, source, source_id, color, image, summary, body, published_at, seen_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (link) DO UPDATE SET body = excluded.body, summary = COALESCE(excluded.summary, articles.summary), image = COALESCE(NULLIF(articles.image, ''), excluded.image)`)
+        .bind(link, title, src ? src.name : u.hostname.replace(/^www\./, ''), src ? src.id : "", src ? src.color : "", data.image ? `/image/${data.image.replace(/^https?:\/\//, '')}` : "", data.summary ? JSON.stringify(data.summary) : null, body, now, now),
+      db.prepare(`SELECT title FROM articles WHERE link = ?`).bind(link)
+    ]);
+    await db.batch(this.ftsStatements(db, link, existing.results[0]?.title || title, body));
+  },
+
+  // Start of a calendar day in ARCHIVE_UTC_OFFSET hours (default 8, Beijing/Taipei/HK time).
+  archiveDayStart(day, env) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(day || "");
+    if (!m) return null;
+    const offset = Number.isFinite(parseFloat(env.ARCHIVE_UTC_OFFSET)) ? parseFloat(env.ARCHIVE_UTC_OFFSET) : 8;
+    return Date.UTC(+m[1], +m[2] - 1, +m[3]) - offset * 3600 * 1000;
+  },
+
+  archiveDay(ts, env) {
+    const offset = Number.isFinite(parseFloat(env.ARCHIVE_UTC_OFFSET)) ? parseFloat(env.ARCHIVE_UTC_OFFSET) : 8;
+    return new Date(ts + offset * 3600 * 1000).toISOString().substring(0, 10);
+  },
+
+  rowToItem(row) {
+    return { link: row.link, title: row.title, source: row.source || "", sourceId: row.source_id || "", color: row.color || "text-slate-900", image: row.image || "", excerpt: row.excerpt || "", timestamp: row.published_at, summary: row.summary ? JSON.parse(row.summary) : [] };
+  },
+
+  /**
+   * /search (cards) and /search.json. Params: q, source, from / to (YYYY-MM-DD, inclusive),
+   * sort=relevance|date, page.
+   */
+  async handleSearch(workerUrl, request, env) {
+    const params = workerUrl.searchParams;
+    const asJson = workerUrl.pathname === "/search.json";
+    const q = (params.get('q') || '').trim();
+    const source = (params.get('source') || '').trim();
+    const from = this.archiveDayStart(params.get('from'), env);
+    const to = this.archiveDayStart(params.get('to'), env);
+    const page = Math.max(parseInt(params.get('page'), 10) || 1, 1);
+    const sort = params.get('sort') === 'date' ? 'date' : 'relevance';
+    let items = [], error = "";
+
+    if (!env.ARCHIVE_DB) error = "Archive disabled: ARCHIVE_DB binding required.";
+    else if (q || source || from !== null || to !== null) {
+      try {
+        await this.ensureArchive(env);
+        const where = [], binds = [];
+        const match = q ? this.ftsQuery(q) : "";
+        if (match) { where.push(`articles_search MATCH ?`); binds.push(match); }
+        if (source) { where.push(`a.source = ?`); binds.push(source); }
+        if (from !== null) { where.push(`a.published_at >= ?`); binds.push(from); }
+        if (to !== null) { where.push(`a.published_at < ?`); binds.push(to + 86400 * 1000); }
+        const sql = match
+          ? `SELECT a.* FROM articles_search JOIN articles a ON a.rowid = articles_search.rowid WHERE ${where.join(" AND ")} ORDER BY ${sort === 'date' ? 'a.published_at DESC' : 'bm25(articles_search, 5, 1)'} LIMIT 50 OFFSET ?`
+          : `SELECT a.* FROM articles a ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY a.published_at DESC LIMIT 50 OFFSET ?`;
+        const { results } = await env.ARCHIVE_DB.prepare(sql).bind(...binds, (page - 1) * 50).all();
+        items = results.map(r => this.rowToItem(r));
+      } catch (e) { error = e.message; }
+    }
+
+    if (asJson) {
+      return new Response(JSON.stringify({ q, source, page, sort, error: error || undefined, items }), { status: error ? 503 : 200, headers: { "Content-Type": "application/json" } });
+    }
+
+    const session = await this.getSession(request, env);
+    const state = session ? await this.getUserState(env, session.userId) : null;
+    const sources = [...new Set((await this.getSources(env)).map(s => s.name))];
+    const val = (k) => this.escapeHTML(params.get(k) || '');
+    const input = "border rounded px-2 py-1.5 text-xs bg-white";
+    const banner = `<form action="/search" class="p-4 space-y-2 bg-slate-50"><div class="flex gap-2"><input name="q" value="${val('q')}" placeholder="搜索已收录的文章…" class="${input} flex-grow" autofocus><button class="bg-black text-white px-4 rounded text-[10px] font-black uppercase tracking-widest">搜索</button></div><div class="flex flex-wrap gap-2 text-[10px] text-slate-500"><select name="source" class="${input}"><option value="">全部来源</option>${sources.map(n => `<option ${n === source ? 'selected' : ''}>${this.escapeHTML(n)}</option>`).join('')}</select><input type="date" name="from" value="${val('from')}" class="${input}"><input type="date" name="to" value="${val('to')}" class="${input}"><select name="sort" class="${input}"><option value="relevance">相关度</option><option value="date" ${sort === 'date' ? 'selected' : ''}>最新</option></select><a href="/archive/${this.archiveDay(Date.now(), env)}" class="ml-auto self-center underline">按日期浏览 →</a></div>${error ? `<p class="text-[10px] font-bold text-red-600">${this.escapeHTML(error)}</p>` : ''}</form>`;
+    const more = items.length === 50 ? (() => { const next = new URLSearchParams(params); next.set('page', page + 1); return `<a href="/search?${this.escapeHTML(next.toString())}" class="block p-4 text-center text-[10px] font-black uppercase tracking-widest text-slate-400">下一页 →</a>`; })() : '';
+    return new Response(this.renderHome(items, { state, banner, footer: more, empty: q || source ? '没有找到匹配的文章' : '输入关键词搜索标题与正文' }), { headers: { "Content-Type": "text/html; charset=UTF-8", "Cache-Control": "private, no-store" } });
+  },
+
+  async handleArchive(path, request, env) {
+    const day = path.replace(/^\/archive\/?/, '');
+    if (!day) return Response.redirect(new URL(`/archive/${this.archiveDay(Date.now(), env)}`, request.url).toString(), 302);
+    const start = this.archiveDayStart(day, env);
+    if (start === null) return new Response("Not Found", { status: 404 });
+
+    let items = [], error = "";
+    if (!env.ARCHIVE_DB) error = "Archive disabled: ARCHIVE_DB binding required.";
+    else {
+      try {
+        await this.ensureArchive(env);
+        const { results } = await env.ARCHIVE_DB.prepare(`SELECT * FROM articles WHERE published_at >= ? AND published_at < ? ORDER BY published_at DESC LIMIT 1000`).bind(start, start + 86400 * 1000).all();
+        items = results.map(r => this.rowToItem(r));
+      } catch (e) { error = e.message; }
+    }
+
+    const session = await this.getSession(request, env);
+    const state = session ? await this.getUserState(env, session.userId) : null;
+    const visible = state ? items.filter(i => !this.isMuted(i, state)) : items;
+    const shift = (n) => this.archiveDay(start + n * 86400 * 1000 + 12 * 3600 * 1000, env);
+    const banner = `<div class="flex items-center justify-between p-4 bg-slate-50 text-[10px] font-black uppercase tracking-widest"><a href="/archive/${shift(-1)}" class="text-slate-400">← ${shift(-1)}</a><form onchange="location.href='/archive/' + this.day.value"><input type="date" name="day" value="${day}" class="border rounded px-2 py-1 bg-white"></form>${start + 86400 * 1000 <= Date.now() ? `<a href="/archive/${shift(1)}" class="text-slate-400">${shift(1)} →</a>` : '<span></span>'}</div>${error ? `<p class="px-4 pb-2 text-[10px] font-bold text-red-600">${this.escapeHTML(error)}</p>` : ''}`;
+    const threshold = parseFloat(env.CLUSTER_THRESHOLD) || 0.5;
+    return new Response(this.renderHome(this.clusterNews(visible, threshold), { state, banner, empty: '这一天没有存档' }), { headers: { "Content-Type": "text/html; charset=UTF-8", "Cache-Control": "private, no-store" } });
+  },
+
   async handleSummary(path, request, apiKey, env, ctx) {
     const targetUrl = `https://${path.replace('/summary/', '')}`;
+    const lang = this.pickLanguage(new URL(request.url).searchParams.get('lang'));
     let debugInfo = { prompt: "", raw: "" };
     try {
-      const data = await this._getArticleData(targetUrl, request, apiKey, env, ctx);
+      // Usually pre-filled by the cron prefetch; skip fetching the article entirely.
+      const cached = await env.AI_SUMMARY.get(this.summaryKey(targetUrl, lang));
+      if (cached) {
+        // This path never fetches the article, so fetch it in the background if the archive lacks its body.
+        if (env.ARCHIVE_DB) ctx.waitUntil(this.archiveHasBody(env, targetUrl).then(has => has || this._getArticleData(targetUrl, request, apiKey, env, ctx, lang)).catch(() => {}));
+        return new Response(cached, { headers: { "Content-Type": "application/json" } });
+      }
+
+      const data = await this._getArticleData(targetUrl, request, apiKey, env, ctx, lang);
       return new Response(JSON.stringify(data.summary_points), { headers: { "Content-Type": "application/json" } });
     } catch (e) {
       return this.renderDebugPage(e, debugInfo.prompt, debugInfo.raw);
@@ -163,70 +1165,265 @@ export default {
       return hitRes;
     }
 
+    const params = new URL(request.url).searchParams;
+    const lang = params.get('lang') ? this.pickLanguage(params.get('lang')) : null;
+    const layout = params.get('layout') === 'inline' ? 'inline' : 'side';
+
     let debugInfo = { prompt: "", raw: "" };
     try {
-      const data = await this._getArticleData(targetUrl, request, apiKey, env, ctx);
+      const data = await this._getArticleData(targetUrl, request, apiKey, env, ctx, lang || "zh-Hans");
       debugInfo = data.debug;
 
+      let translations = null;
+      if (lang) {
+        [data.translated_title, ...translations] = await this.translateParagraphs([data.title, ...data.paragraphs], lang, apiKey, env, ctx);
+      }
+
       const html = this.renderArticle({
         title: data.title,
+        translated_title: data.translated_title,
         image_url: data.image ? `/image/${data.image.replace(/^https?:\/\//, '')}` : "",
         summary_points: data.summary_points,
-        paragraphs: data.paragraphs
+        paragraphs: data.paragraphs,
+        translations,
+        lang,
+        layout
       });
 
+      // A failed translation batch leaves nulls; keep that page out of the edge cache so the
+      // next request picks up whatever the per-paragraph KV cache has filled in by then.
+      const complete = !lang || [data.translated_title, ...translations].every(t => t != null);
       const finalRes = new Response(html, { 
         headers: { 
           "Content-Type": "text/html; charset=UTF-8",
-          "Cache-Control": "public, s-maxage=604800" 
+          "Cache-Control": complete ? "public, s-maxage=604800" : "no-store"
         } 
       });
 
-      ctx.waitUntil(cache.put(cacheKey, finalRes.clone()));
+      if (complete) ctx.waitUntil(cache.put(cacheKey, finalRes.clone()));
       return finalRes;
     } catch (err) {
       return this.renderDebugPage(err, debugInfo.prompt, debugInfo.raw);
     }
   },
 
-  async _getArticleData(targetUrl, request, apiKey, env, ctx) {
-    let pageTitle = "", socialImg = "", firstBodyImg = "", paragraphs = [];
-    let textBuffer = "";
+  /**
+   * Translates each paragraph into `lang`, caching per paragraph hash in AI_SUMMARY.
+   * Returns an array aligned with `paragraphs`; entries the model dropped stay null.
+   */
+  async translateParagraphs(paragraphs, lang, apiKey, env, ctx) {
+    const target = LANGUAGES[lang];
+    const keys = await Promise.all(paragraphs.map(async p => `tr_${lang}_${(await this.sha256Hex(p)).substring(0, 40)}`));
+    const out = await Promise.all(keys.map(k => env.AI_SUMMARY.get(k)));
 
-    const res = await fetch(targetUrl, { headers: this.getStealthHeaders(request, new URL(targetUrl).hostname) });
-    if (!res.ok) throw new Error(`Fetch Exception: HTTP ${res.status}`);
+    const missing = [];
+    paragraphs.forEach((p, i) => {
+      if (out[i] !== null) return;
+      // Already in the target script: nothing to translate.
+      if (lang === "zh-Hans" && this.toSimplified(p) === p && /[\u4e00-\u9fa5]/.test(p)) out[i] = p;
+      else missing.push(i);
+    });
 
-    await new HTMLRewriter()
-      .on("title", { text(t) { pageTitle += t.text; } })
+    // Batch by size so one long article is a handful of calls instead of one per paragraph.
+    const batches = [];
+    let batch = [], size = 0;
+    for (const i of missing) {
+      if (batch.length && (batch.length >= 12 || size + paragraphs[i].length > 6000)) { batches.push(batch); batch = []; size = 0; }
+      batch.push(i);
+      size += paragraphs[i].length;
+    }
+    if (batch.length) batches.push(batch);
+
+    await Promise.all(batches.map(async (idxs) => {
+      const prompt = `[SYSTEM]: You are a professional news translator.
+[TASK]: Translate each numbered paragraph into ${target.prompt}. Keep names, numbers and quotes faithful; do not summarize or add commentary.
+Return "translations" with exactly ${idxs.length} entries, in the same order.
+
+${idxs.map((i, n) => `[${n + 1}]: ${paragraphs[i]}`).join("\n\n")}`;
+      try {
+        const result = await this.callAI(prompt, apiKey, env, { schema: TRANSLATION_SCHEMA });
+        const translations = Array.isArray(result.json.translations) ? result.json.translations : [];
+        if (translations.length !== idxs.length) return;
+        idxs.forEach((i, n) => {
+          out[i] = String(translations[n]).trim();
+          ctx.waitUntil(env.AI_SUMMARY.put(keys[i], out[i], { expirationTtl: 1209600 }));
+        });
+      } catch (e) {}
+    }));
+
+    return out;
+  },
+
+  getExtractionProfile(hostname) {
+    const key = Object.keys(EXTRACTION_PROFILES).find(d => hostname === d || hostname.endsWith(`.${d}`));
+    return key ? EXTRACTION_PROFILES[key] : null;
+  },
+
+  /**
+   * One streaming pass over a page. Text is attributed to the innermost open block (profile
+   * selectors, or EXTRACTION_BLOCKS for the generic scorer), so nested divs never duplicate it.
+   */
+  async extractPage(html, pageUrl, profile) {
+    const state = { title: "", socialImg: "", profileImg: "", firstImg: "", nextUrl: "", blocks: [], stack: [], strip: 0, link: 0 };
+    // getAttribute returns the raw attribute text, so &amp; in query strings is still encoded.
+    const resolve = (src) => { try { return new URL(this.decodeEntities(src), pageUrl).toString(); } catch (e) { return ""; } };
+    const imgSrc = (el) => el.getAttribute("data-src") || el.getAttribute("src") || (el.getAttribute("srcset") || "").split(/[\s,]+/)[0];
+    const closable = (el) => !el.selfClosing && el.canHaveContent !== false;
+    const stripSel = [EXTRACTION_STRIP, profile?.strip, profile?.captions === "keep" ? "" : "figcaption"].filter(Boolean).join(", ");
+    const blockSel = profile ? [profile.paragraphs, profile.captions === "keep" ? "figcaption" : ""].filter(Boolean).join(", ") : EXTRACTION_BLOCKS;
+
+    let rewriter = new HTMLRewriter()
+      .on("title", { text(t) { state.title += t.text; } })
       .on("meta", { element(el) {
         const prop = el.getAttribute("property") || el.getAttribute("name");
         const content = el.getAttribute("content");
-        if (content && (prop === "og:image" || prop === "twitter:image")) socialImg = content;
+        if (content && (prop === "og:image" || prop === "twitter:image") && !state.socialImg) state.socialImg = resolve(content);
+      }})
+      .on(stripSel, { element(el) {
+        if (!closable(el)) return;
+        state.strip++;
+        el.onEndTag(() => { state.strip--; });
+      }})
+      .on("a", { element(el) {
+        if (!closable(el)) return;
+        state.link++;
+        el.onEndTag(() => { state.link--; });
       }})
       .on("img", { element(el) {
-        const src = el.getAttribute("src") || el.getAttribute("data-src");
-        if (!firstBodyImg && src && !src.startsWith('data:')) firstBodyImg = src;
+        const src = imgSrc(el);
+        if (!state.firstImg && !state.strip && src && !src.startsWith('data:')) state.firstImg = resolve(src);
       }})
-      .on("p, div, span, article", { 
-        text(t) { 
-          textBuffer += t.text;
-          if (t.lastInTextNode) {
-            const txt = textBuffer.trim();
-            textBuffer = "";
-            if (txt.length >= 15) {
-              const chineseChars = txt.match(/[\u4e00-\u9fa5]/g) || [];
-              const density = chineseChars.length / (txt.length || 1);
-              if (density > 0.3) paragraphs.push(txt);
-            }
-          }
-        }
-      })
-      .transform(res).arrayBuffer();
+      .on("br", { element() {
+        const top = state.stack[state.stack.length - 1];
+        if (top) top.text += "\n";
+      }})
+      .on(blockSel, { element(el) {
+        if (!closable(el)) return;
+        const parent = state.stack[state.stack.length - 1];
+        const block = { id: state.blocks.length, parent: parent ? parent.id : -1, caption: el.tagName === "figcaption", stripped: state.strip > 0, text: "", linkChars: 0 };
+        state.blocks.push(block);
+        state.stack.push(block);
+        // Pops down to this block, which also closes children whose end tags were omitted.
+        el.onEndTag(() => {
+          const idx = state.stack.indexOf(block);
+          if (idx >= 0) state.stack.length = idx;
+        });
+      }})
+      .onDocument({ text(t) {
+        const top = state.stack[state.stack.length - 1];
+        if (!top || state.strip > 0 || top.stripped) return;
+        top.text += t.text;
+        if (state.link > 0) top.linkChars += t.text.length;
+      }});
 
-    paragraphs = [...new Set(paragraphs)];
-    const cleanTitle = pageTitle.trim() || "News Article";
+    if (profile?.image) {
+      rewriter = rewriter.on(profile.image, { element(el) {
+        const src = imgSrc(el);
+        if (!state.profileImg && src && !src.startsWith('data:')) state.profileImg = resolve(src);
+      }});
+    }
+    if (profile?.nextPage) {
+      rewriter = rewriter.on(profile.nextPage, { element(el) {
+        const href = el.getAttribute("href");
+        if (!state.nextUrl && href && !href.startsWith("#")) state.nextUrl = resolve(href);
+      }});
+    }
+
+    await rewriter.transform(new Response(html)).arrayBuffer();
+
+    const picked = profile ? state.blocks : this.scoreBlocks(state.blocks);
+    const paragraphs = [];
+    for (const block of picked) {
+      for (const segment of block.text.split("\n")) {
+        const txt = segment.replace(/\s+/g, " ").trim();
+        if (!this.isContentParagraph(txt)) continue;
+        paragraphs.push(block.caption ? `图：${txt}` : txt);
+      }
+    }
+
+    return {
+      title: state.title.trim(),
+      image: state.socialImg || state.profileImg || state.firstImg,
+      paragraphs: [...new Set(paragraphs)],
+      nextUrl: state.nextUrl
+    };
+  },
+
+  // Readability-style: each text block scores by length and punctuation, discounted by link
+  // density, and credits its parent (full) and grandparent (half). The best container wins.
+  scoreBlocks(blocks) {
+    const scores = new Map();
+    for (const b of blocks) {
+      const text = b.text.replace(/\s+/g, " ").trim();
+      if (text.length < 15) continue;
+      const linkDensity = Math.min(1, b.linkChars / b.text.length);
+      if (linkDensity > 0.5) continue;
+      const score = (1 + (text.match(/[，,。、；;！？]/g) || []).length + Math.min(Math.floor(text.length / 100), 3)) * (1 - linkDensity);
+      if (b.parent >= 0) {
+        scores.set(b.parent, (scores.get(b.parent) || 0) + score);
+        const grand = blocks[b.parent].parent;
+        if (grand >= 0) scores.set(grand, (scores.get(grand) || 0) + score / 2);
+      }
+    }
+    if (scores.size === 0) return blocks;
+
+    const best = [...scores.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    const within = (b) => {
+      for (let id = b.id, depth = 0; id >= 0 && depth < 12; id = blocks[id].parent, depth++) if (id === best) return true;
+      return false;
+    };
+    return blocks.filter(b => within(b) && b.linkChars / (b.text.length || 1) <= 0.5);
+  },
+
+  isContentParagraph(txt) {
+    if (txt.length < 15 || BOILERPLATE_RE.test(txt)) return false;
+    const cjk = (txt.match(/[\u4e00-\u9fa5]/g) || []).length;
+    // Latin-script paragraphs need more characters to carry the same content.
+    return cjk / txt.length > 0.3 || (txt.length >= 60 && /[a-z]{3,}/i.test(txt));
+  },
+
+  pickLanguage(lang) {
+    return LANGUAGES[lang] ? lang : "zh-Hans";
+  },
+
+  // zh-Hans keeps the original un-suffixed key so summaries cached before ?lang= still hit.
+  summaryKey(targetUrl, lang = "zh-Hans") {
     const b64 = btoa(targetUrl);
     const kvKey = b64.substring(Math.max(0, b64.length - 64));
+    return lang === "zh-Hans" ? kvKey : `${kvKey}_${lang}`;
+  },
+
+  async _getArticleData(targetUrl, request, apiKey, env, ctx, lang = "zh-Hans") {
+    const profile = this.getExtractionProfile(new URL(targetUrl).hostname);
+    const fetchPage = async (pageUrl) => {
+      const res = await fetch(pageUrl, { headers: this.getStealthHeaders(request, new URL(pageUrl).hostname) });
+      if (!res.ok) throw new Error(`Fetch Exception: HTTP ${res.status}`);
+      return await res.text();
+    };
+
+    const html = await fetchPage(targetUrl);
+    let page = await this.extractPage(html, targetUrl, profile);
+    // A profile that matches nothing usually means the site changed its markup.
+    if (profile && page.paragraphs.length < 2) page = await this.extractPage(html, targetUrl, null);
+
+    const pageTitle = page.title;
+    const image = page.image;
+    let paragraphs = page.paragraphs;
+
+    const visited = new Set([targetUrl]);
+    for (let n = 1; profile && page.nextUrl && n < (profile.maxPages || 5); n++) {
+      const next = page.nextUrl;
+      if (visited.has(next) || new URL(next).hostname !== new URL(targetUrl).hostname) break;
+      visited.add(next);
+      try {
+        page = await this.extractPage(await fetchPage(next), next, profile);
+      } catch (e) { break; }
+      paragraphs = paragraphs.concat(page.paragraphs);
+    }
+
+    paragraphs = [...new Set(paragraphs)];
+    const cleanTitle = pageTitle.trim() || "News Article";
+    const kvKey = this.summaryKey(targetUrl, lang);
 
     let summaryPoints = [];
     let currentPrompt = "";
@@ -236,54 +1433,284 @@ export default {
 
     if (cachedSum) {
       summaryPoints = JSON.parse(cachedSum);
+      // Summaries cached before ARCHIVE_DB was bound never had their body archived.
+      if (env.ARCHIVE_DB) {
+        ctx.waitUntil(this.archiveHasBody(env, targetUrl).then(has => has || this.archiveArticle(env, targetUrl, { title: cleanTitle, paragraphs, image, summary: lang === "zh-Hans" ? summaryPoints : null })).catch(() => {}));
+      }
     } else {
       currentPrompt = `[SYSTEM]: You are a news analyst.
-[TASK]: Summarize text into 3-5 concise bullet points in Simplified Chinese (简体中文).
-[STRICT FORMAT]: Return ONLY the bullet points, one per line. 
-- Do NOT use JSON. Do NOT use markdown (no * or -).
-- Do NOT use any introductory text. Just the summary lines.
+[TASK]: Summarize text into 3-5 concise bullet points in ${LANGUAGES[lang].prompt}.
+- Each point is one plain sentence: no markdown, no numbering, no introductory text.
 
 [TITLE]: ${cleanTitle}
 [DATA]: ${paragraphs.join("\n").substring(0, 35000)}`;
 
-      rawAIResponse = await this.callAI(currentPrompt, apiKey);
-      summaryPoints = rawAIResponse.split('\n')
-        .map(l => l.replace(/^[•\-\*\d\.\s]+/, '').trim())
-        .filter(l => l.length > 5);
+      const result = await this.callAI(currentPrompt, apiKey, env, { schema: SUMMARY_SCHEMA });
+      rawAIResponse = `[${result.provider}/${result.model}]\n${result.text}`;
+      summaryPoints = this.cleanPoints(result.json.points);
 
       if (summaryPoints.length > 0) {
         ctx.waitUntil(env.AI_SUMMARY.put(kvKey, JSON.stringify(summaryPoints), { expirationTtl: 1209600 }));
+        if (env.ARCHIVE_DB) {
+          ctx.waitUntil(this.archiveArticle(env, targetUrl, { title: cleanTitle, paragraphs, image, summary: lang === "zh-Hans" ? summaryPoints : null }).catch(() => {}));
+        }
       }
     }
 
     return { 
       title: cleanTitle, 
       paragraphs, 
-      image: socialImg || firstBodyImg, 
+      image, 
       summary_points: summaryPoints,
       debug: { prompt: currentPrompt, raw: rawAIResponse }
     };
   },
 
-  async callAI(prompt, apiKey) {
-    const res = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemma-3-4b-it:generateContent?key=${apiKey}`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }], generationConfig: { temperature: 0.1 } })
+  /**
+   * Runs the prompt through each provider in AI_PROVIDERS (default "gemini") until one answers.
+   * With opts.schema the providers are asked for JSON matching it and the parsed object is
+   * returned as `json`. Resolves to { text, json, provider, model }.
+   */
+  async callAI(prompt, apiKey, env, opts = {}) {
+    const adapters = { gemini: this.aiGemini, openai: this.aiOpenAI, workers: this.aiWorkersAI };
+    const order = String(env.AI_PROVIDERS || "gemini").split(",").map(p => p.trim().toLowerCase()).filter(p => adapters[p]);
+    const fullPrompt = opts.schema
+      ? `${prompt}\n\n[OUTPUT]: Return ONLY a JSON object matching this JSON schema, with no markdown fences:\n${JSON.stringify(opts.schema)}`
+      : prompt;
+    const failures = [];
+
+    for (const provider of order) {
+      try {
+        const result = await adapters[provider].call(this, fullPrompt, apiKey, env, opts);
+        const json = opts.schema ? this.parseAIJSON(result.text) : null;
+        return { ...result, json, provider };
+      } catch (e) {
+        failures.push(`${provider}: ${e.message}`);
+      }
+    }
+    throw new Error(`All AI providers failed (${failures.join(" | ") || "none configured"})`);
+  },
+
+  async aiGemini(prompt, apiKey, env, opts) {
+    if (!apiKey) throw new Error("GEMINI_API_KEY not configured");
+    const model = env.GEMINI_MODEL || "gemma-3-4b-it";
+    const generationConfig = { temperature: opts.temperature ?? 0.1 };
+    // Gemma models on the Gemini API reject JSON mode; they get the schema through the prompt only.
+    if (opts.schema && !model.startsWith("gemma")) {
+      generationConfig.responseMimeType = "application/json";
+      generationConfig.responseSchema = opts.schema;
+    }
+    const json = await this.aiRequest(env, `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`, {
+      headers: { "Content-Type": "application/json", "x-goog-api-key": apiKey },
+      body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }], generationConfig })
     });
-    const json = await res.json();
-    return json.candidates[0].content.parts[0].text;
+    if (json.promptFeedback?.blockReason) throw new Error(`Prompt blocked: ${json.promptFeedback.blockReason}`);
+    const candidate = json.candidates?.[0];
+    const text = candidate?.content?.parts?.map(p => p.text || "").join("") || "";
+    if (!text) throw new Error(`Empty candidate (finishReason: ${candidate?.finishReason || "none"})`);
+    return { text, model };
+  },
+
+  // Any OpenAI-compatible /chat/completions endpoint: OpenAI, llama.cpp server, Ollama, vLLM...
+  async aiOpenAI(prompt, apiKey, env, opts) {
+    const base = (env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+    const model = env.OPENAI_MODEL || "gpt-4o-mini";
+    const key = await this.getSecret(env, "OPENAI_API_KEY");
+    const payload = { model, messages: [{ role: "user", content: prompt }], temperature: opts.temperature ?? 0.1 };
+    const jsonMode = env.OPENAI_JSON_MODE || "json_schema";
+    if (opts.schema && jsonMode === "json_schema") payload.response_format = { type: "json_schema", json_schema: { name: "response", schema: opts.schema } };
+    if (opts.schema && jsonMode === "json_object") payload.response_format = { type: "json_object" };
+
+    const headers = { "Content-Type": "application/json" };
+    if (key) headers.Authorization = `Bearer ${key}`;
+    const json = await this.aiRequest(env, `${base}/chat/completions`, { headers, body: JSON.stringify(payload) });
+    const choice = json.choices?.[0];
+    const text = choice?.message?.content || "";
+    if (!text) throw new Error(`Empty completion (finish_reason: ${choice?.finish_reason || "none"})`);
+    return { text, model };
+  },
+
+  async aiWorkersAI(prompt, apiKey, env, opts) {
+    if (!env.AI) throw new Error("AI binding not configured");
+    const model = env.WORKERS_AI_MODEL || "@cf/meta/llama-3.1-8b-instruct";
+    const input = { messages: [{ role: "user", content: prompt }], temperature: opts.temperature ?? 0.1, max_tokens: 2048 };
+    if (opts.schema) input.response_format = { type: "json_schema", json_schema: opts.schema };
+
+    let result;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        result = await env.AI.run(model, input);
+        break;
+      } catch (e) {
+        if (attempt >= this.aiMaxRetries(env) || !/429|5\d\d|capacity|timeout/i.test(e.message)) throw e;
+        await this.aiBackoff(attempt);
+      }
+    }
+    const text = typeof result?.response === "string" ? result.response : JSON.stringify(result?.response ?? "");
+    if (!text || text === '""') throw new Error("Empty response");
+    return { text, model };
   },
 
-  async handleImageProxy(workerUrl, request) {
-    const targetPathWithQuery = workerUrl.pathname.replace('/image/', '') + workerUrl.search;
-    const targetUrl = "https://" + targetPathWithQuery;
+  // POSTs JSON, retrying 429/5xx and network failures with exponential backoff (honours Retry-After).
+  async aiRequest(env, url, init) {
+    for (let attempt = 0; ; attempt++) {
+      let res;
+      try {
+        res = await fetch(url, { method: "POST", ...init });
+      } catch (e) {
+        if (attempt >= this.aiMaxRetries(env)) throw e;
+        await this.aiBackoff(attempt);
+        continue;
+      }
+      if (res.ok) return await res.json();
+
+      const detail = (await res.text()).substring(0, 300);
+      if ((res.status === 429 || res.status >= 500) && attempt < this.aiMaxRetries(env)) {
+        await this.aiBackoff(attempt, res.headers.get("Retry-After"));
+        continue;
+      }
+      throw new Error(`HTTP ${res.status}: ${detail}`);
+    }
+  },
+
+  aiMaxRetries(env) {
+    const n = parseInt(env.AI_MAX_RETRIES, 10);
+    return Number.isFinite(n) && n >= 0 ? n : 2;
+  },
+
+  aiBackoff(attempt, retryAfter) {
+    const hinted = parseFloat(retryAfter) * 1000;
+    const ms = Number.isFinite(hinted) ? Math.min(hinted, 10000) : 500 * 2 ** attempt + Math.random() * 250;
+    return new Promise(resolve => setTimeout(resolve, ms));
+  },
+
+  // Models in prompt-only JSON mode still like to wrap output in fences or prose; take the outermost object.
+  parseAIJSON(text) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const cleaned = fenced ? fenced[1] : text;
+    const start = cleaned.indexOf("{"), end = cleaned.lastIndexOf("}");
+    if (start < 0 || end <= start) throw new Error("AI response contained no JSON object");
+    return JSON.parse(cleaned.substring(start, end + 1));
+  },
+
+  // Strips a leading bullet glyph only; points like "3 killed" or "2024年…" keep their numbers.
+  cleanPoints(list) {
+    return (Array.isArray(list) ? list : []).map(l => String(l).replace(/^\s*(?:•|[-*](?=\s))\s*/, '').trim()).filter(l => l.length > 5);
+  },
+
+  /**
+   * /image/[w=..,h=..,q=..,f=auto|webp|avif,fit=..]/<host>/<path>. Only hosts of configured
+   * sources (and their parent domains) or IMAGE_HOSTS are proxied; resizing goes through
+   * Cloudflare Image Resizing and falls back to the original, then to a placeholder.
+   */
+  async handleImageProxy(workerUrl, request, env, ctx) {
+    let rest = workerUrl.pathname.replace('/image/', '');
+    const opts = {};
+    const optMatch = rest.match(/^([^/]*=[^/]*)\//);
+    if (optMatch) {
+      rest = rest.substring(optMatch[0].length);
+      for (const pair of optMatch[1].split(',')) {
+        const [k, v] = pair.split('=');
+        opts[k] = v;
+      }
+    }
+
+    let target;
+    try { target = new URL("https://" + rest + workerUrl.search); } catch (e) { return this.imagePlaceholder(); }
+    if (!(await this.isAllowedImageHost(target.hostname, env))) return new Response("Image host not allowed", { status: 403 });
+
+    const clamp = (v, min, max) => { const n = parseInt(v, 10); return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : undefined; };
+    const accept = request.headers.get("Accept") || "";
+    const format = opts.f === "auto" ? (/image\/avif/.test(accept) ? "avif" : /image\/webp/.test(accept) ? "webp" : undefined) : ["avif", "webp", "jpeg", "png"].includes(opts.f) ? opts.f : undefined;
+    const image = { width: clamp(opts.w, 16, 2000), height: clamp(opts.h, 16, 2000), quality: clamp(opts.q, 30, 95) ?? 75, format, fit: ["cover", "contain", "scale-down", "crop"].includes(opts.fit) ? opts.fit : "scale-down" };
+    const resize = image.width || image.height || image.format;
+
+    // Accept only changes the response through f=auto, so fold the chosen format into the key.
+    const cache = caches.default;
+    const cacheKey = new Request(`${workerUrl.origin}${workerUrl.pathname}${workerUrl.search}${workerUrl.search ? '&' : '?'}_fmt=${format || 'orig'}`, { method: "GET" });
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+
+    // Redirects are followed by hand so every hop has to pass the allowlist, not just the first.
+    const fetchAllowed = async (cf) => {
+      let url = target;
+      for (let hop = 0; hop < 5; hop++) {
+        const res = await fetch(url.toString(), { headers: this.getStealthHeaders(request, url.hostname), redirect: "manual", ...(cf ? { cf } : {}) });
+        const location = res.status >= 300 && res.status < 400 ? res.headers.get("Location") : null;
+        if (!location) return res;
+        url = new URL(location, url);
+        if (!/^https?:$/.test(url.protocol) || !(await this.isAllowedImageHost(url.hostname, env))) return null;
+      }
+      return null;
+    };
+    const isImage = (res) => res.ok && (res.headers.get("Content-Type") || "").startsWith("image/");
+    let imgRes = null;
     try {
-      const imgRes = await fetch(targetUrl, { headers: this.getStealthHeaders(request, new URL(targetUrl).hostname) });
-      const newHeaders = new Headers(imgRes.headers);
-      if (imgRes.status === 200) newHeaders.set("Cache-Control", "public, max-age=31536000, immutable");
-      return new Response(imgRes.body, { status: imgRes.status, headers: newHeaders });
-    } catch(e) { return new Response(null, { status: 404 }); }
+      if (resize) imgRes = await fetchAllowed({ image });
+      if (!imgRes || !isImage(imgRes)) imgRes = await fetchAllowed(null);
+    } catch (e) { imgRes = null; }
+    if (!imgRes || !isImage(imgRes)) return this.imagePlaceholder(opts);
+
+    const newHeaders = new Headers();
+    for (const h of ["Content-Type", "Content-Length", "Last-Modified", "ETag"]) if (imgRes.headers.get(h)) newHeaders.set(h, imgRes.headers.get(h));
+    newHeaders.set("Cache-Control", "public, max-age=31536000, immutable");
+    if (opts.f === "auto") newHeaders.set("Vary", "Accept");
+    const response = new Response(imgRes.body, { status: 200, headers: newHeaders });
+    ctx.waitUntil(cache.put(cacheKey, response.clone()));
+    return response;
+  },
+
+  // Parent domain of a feed host, so feed.epochtimes.com also admits i.epochtimes.com.
+  parentDomain(host) {
+    const labels = host.split('.');
+    const parent = labels.slice(1);
+    if (parent.length < 2 || (parent.length === 2 && /^(co|com|net|org|gov|edu|ac)$/.test(parent[0]))) return host;
+    return parent.join('.');
+  },
+
+  async isAllowedImageHost(hostname, env) {
+    if (!this._imageHosts || Date.now() - this._imageHosts.at > 60000) {
+      const sources = await this.getSources(env);
+      const hosts = new Set([...IMAGE_HOSTS, ...String(env.IMAGE_HOSTS || "").split(',').map(h => h.trim()).filter(Boolean)]);
+      for (const src of sources) {
+        hosts.add(this.parentDomain(src.domain));
+        try { hosts.add(this.parentDomain(new URL(src.url).hostname)); } catch (e) {}
+      }
+      this._imageHosts = { at: Date.now(), hosts: [...hosts] };
+    }
+    return this._imageHosts.hosts.some(h => hostname === h || hostname.endsWith(`.${h}`));
+  },
+
+  imagePlaceholder(opts = {}) {
+    const w = parseInt(opts.w, 10) || 192, h = parseInt(opts.h, 10) || Math.round(w * 2 / 3);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 48 32"><rect width="48" height="32" fill="#f1f5f9"/><path d="M17 22l5-6 4 4 3-3 5 5z" fill="#cbd5e1"/><circle cx="30" cy="12" r="2" fill="#cbd5e1"/></svg>`;
+    return new Response(svg, { headers: { "Content-Type": "image/svg+xml", "Cache-Control": "public, max-age=300", "X-Image-Fallback": "1" } });
+  },
+
+  // Rewrites a stored /image/ path (or absolute URL) to carry resize options.
+  imageUrl(src, options) {
+    if (!src) return "";
+    const rest = src.replace(/^\/image\//, '').replace(/^(?:https?:)?\/\//, '').replace(/^[^/]*=[^/]*\//, '');
+    return `/image/${options}/${rest}`;
+  },
+
+  // Accepts both Secrets Store bindings (async .get()) and plain string secrets.
+  async getSecret(env, name) {
+    const binding = env[name];
+    if (!binding) return "";
+    return typeof binding.get === "function" ? await binding.get() : String(binding);
+  },
+
+  safeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+  },
+
+  // Browsers attach Origin to every POST/DELETE, so a form or fetch from another site can't pass as ours.
+  isSameOrigin(request) {
+    return request.headers.get("Origin") === new URL(request.url).origin;
   },
 
   getStealthHeaders(req, host) {
@@ -306,12 +1733,210 @@ export default {
     return Math.floor(diff / 86400) + "d前";
   },
 
-  renderHome(news) {
-    return `<!DOCTYPE html><html lang="zh-CN"><head><meta charset="UTF-8"><meta name="apple-mobile-web-app-capable" content="yes"><meta name="apple-mobile-web-app-status-bar-style" content="black-translucent"><meta name="viewport" content="width=device-width, initial-scale=1, maximum-scale=1, user-scalable=no, viewport-fit=cover"><title>智能新闻</title><script src="https://cdn.tailwindcss.com"></script><style>.is-read .card-header { opacity: 0.3; filter: grayscale(1); }.accordion-content { max-height: 0; overflow: hidden; transition: max-height 0.3s ease-out; }.expanded .accordion-content { max-height: 600px; }.expanded .card-chevron { transform: rotate(180deg); }header { padding-top: env(safe-area-inset-top, 0px); }</style></head><body class="bg-slate-50 min-h-screen font-sans"><header class="sticky top-0 z-50 bg-white/95 backdrop-blur-md border-b shadow-sm"><div class="flex justify-between items-center p-4"><h1 class="font-black text-xl text-slate-900 tracking-tighter uppercase">SmartNews</h1><button onclick="if(confirm('Clear history?')){localStorage.clear();location.reload();}" class="text-[9px] font-bold text-slate-400 border px-2 py-1 rounded hover:bg-slate-50 uppercase">Reset</button></div></header><main id="feed" class="max-w-md mx-auto divide-y bg-white">${news.map(i => `<div class="news-card border-b last:border-0" data-id="${btoa(i.link)}" data-url="${i.link}"><div class="flex gap-4 p-5 cursor-pointer hover:bg-slate-50 transition-all card-header"><div class="w-24 h-16 shrink-0 rounded overflow-hidden bg-slate-100">${i.image ? `<img src="${i.image}" class="w-full h-full object-cover">` : ''}</div><div class="flex flex-col justify-between py-0.5 flex-grow"><h2 class="text-xs font-bold leading-snug text-slate-800 line-clamp-2">${i.title}</h2><div class="flex items-center justify-between mt-2"><div class="flex items-center gap-2"><span class="text-[8px] font-black uppercase px-1.5 py-0.5 border rounded ${i.color}">${i.source}</span><span class="text-[8px] text-slate-400 font-medium">${this.timeAgo(i.timestamp)}</span></div><svg class="w-3 h-3 text-slate-300 card-chevron transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="3" d="M19 9l-7 7-7-7"></path></svg></div></div></div><div class="accordion-content"><a href="${i.link}" class="block bg-red-50 border-l-4 border-red-600 p-5 pt-4 pb-4 relative mb-4 mx-4 rounded-r-xl shadow-sm active:bg-red-100/50 transition-colors"><ul class="summary-target space-y-2 list-disc list-inside text-[13px] leading-relaxed text-red-900 font-medium pb-2"><div class="flex justify-center p-2"><div class="animate-pulse flex space-x-1"><div class="h-1 w-1 bg-red-300 rounded-full"></div><div class="h-1 w-1 bg-red-300 rounded-full"></div><div class="h-1 w-1 bg-red-300 rounded-full"></div></div></div></ul><div class="absolute bottom-1.5 right-2 opacity-30"><span class="text-[7px] font-black uppercase tracking-tighter text-red-900 italic">AI 总结</span></div></a></div></div>`).join('')}</main><script>const syncStatus = () => document.querySelectorAll('.news-card').forEach(c => localStorage.getItem('read_'+c.dataset.id) && c.classList.add('is-read')); syncStatus(); window.addEventListener('pageshow', (e) => e.persisted && syncStatus()); document.querySelectorAll('.card-header').forEach(header => { let readTimer; const startTimer = (card) => { clearTimeout(readTimer); readTimer = setTimeout(() => { if (card.classList.contains('expanded')) { localStorage.setItem('read_' + card.dataset.id, Date.now()); card.classList.add('is-read'); } }, 1000); }; header.addEventListener('click', async () => { const card = header.closest('.news-card'); const isExpanded = card.classList.toggle('expanded'); const target = card.querySelector('.summary-target'); const url = card.dataset.url; if (isExpanded) { if (card.dataset.loaded) { startTimer(card); } else { try { const res = await fetch('/summary/' + url.replace('/article/', '')); if (!res.ok) throw new Error(); const points = await res.json(); target.innerHTML = points.map(p => \`<li>\${p}</li>\`).join(''); card.dataset.loaded = "true"; startTimer(card); } catch(err) { target.innerHTML = \`<li class="list-none text-center p-2"><p class="text-[10px] text-slate-500 mb-1 font-bold uppercase">Summary failed</p><span class="text-xs text-blue-600 underline">Read full article</span></li>\`; } } } else { clearTimeout(readTimer); } }); });</script></body></html>`;
+  renderCard(i, opts = {}) {
+    const saveBtn = opts.state ? `<div class="flex justify-end px-4 pb-3"><button class="save-btn text-[9px] font-black uppercase tracking-widest px-2 py-1 rounded border ${opts.state.saved[i.link] ? 'text-amber-600 border-amber-300' : 'text-slate-400'}" data-item="${this.escapeHTML(JSON.stringify({ link: i.link, title: i.title, source: i.source, color: i.color, image: i.image, timestamp: i.timestamp }))}">${opts.state.saved[i.link] ? '★ 已收藏' : '☆ 收藏'}</button></div>` : '';
+    if (i.cluster) {
+      const outlets = [...new Set(i.cluster.map(m => m.source))];
+      return `<div class="news-card cluster border-b last:border-0" data-id="${btoa(i.link)}" data-url="${i.link}" data-members="${i.cluster.map(m => m.link).join(' ')}"><div class="flex gap-4 p-5 cursor-pointer hover:bg-slate-50 transition-all card-header"><div class="w-24 h-16 shrink-0 rounded overflow-hidden bg-slate-100">${i.image ? `<img src="${this.escapeHTML(this.imageUrl(i.image, 'w=192,h=128,fit=cover,q=70,f=auto'))}" loading="lazy" class="w-full h-full object-cover">` : ''}</div><div class="flex flex-col justify-between py-0.5 flex-grow"><h2 class="text-xs font-bold leading-snug text-slate-800 line-clamp-2">${this.escapeHTML(i.title)}</h2><div class="flex items-center justify-between mt-2"><div class="flex items-center gap-2"><span class="text-[8px] font-black uppercase px-1.5 py-0.5 border rounded ${i.color}">${this.escapeHTML(i.source)}</span><span class="text-[8px] font-black px-1.5 py-0.5 rounded bg-slate-900 text-white">${outlets.length} 家报道</span><span class="text-[8px] text-slate-400 font-medium">${this.timeAgo(i.timestamp)}</span></div><svg class="w-3 h-3 text-slate-300 card-chevron transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="3" d="M19 9l-7 7-7-7"></path></svg></div></div></div><div class="accordion-content"><div class="bg-red-50 border-l-4 border-red-600 p-5 pt-4 pb-4 relative mb-3 mx-4 rounded-r-xl shadow-sm"><ul class="summary-target space-y-2 list-disc list-inside text-[13px] leading-relaxed text-red-900 font-medium pb-2"><div class="flex justify-center p-2"><div class="animate-pulse flex space-x-1"><div class="h-1 w-1 bg-red-300 rounded-full"></div><div class="h-1 w-1 bg-red-300 rounded-full"></div><div class="h-1 w-1 bg-red-300 rounded-full"></div></div></div></ul><ul class="disagree-target hidden mt-3 pt-3 border-t border-red-200 space-y-1 list-disc list-inside text-[12px] leading-relaxed text-amber-800"></ul><div class="absolute bottom-1.5 right-2 opacity-30"><span class="text-[7px] font-black uppercase tracking-tighter text-red-900 italic">AI 综合</span></div></div><ul class="mx-4 mb-4 divide-y border rounded-xl">${i.cluster.map(m => `<li><a href="${m.link}" class="flex items-start gap-2 p-3 hover:bg-slate-50"><span class="shrink-0 text-[8px] font-black uppercase px-1.5 py-0.5 border rounded ${m.color}">${this.escapeHTML(m.source)}</span><span class="text-[11px] leading-snug text-slate-700">${this.escapeHTML(m.title)}</span><span class="ml-auto shrink-0 text-[8px] text-slate-400">${this.timeAgo(m.timestamp)}</span></a></li>`).join('')}</ul>${saveBtn}</div></div>`;
+    }
+    return `<div class="news-card border-b last:border-0" data-id="${btoa(i.link)}" data-url="${i.link}"><div class="flex gap-4 p-5 cursor-pointer hover:bg-slate-50 transition-all card-header"><div class="w-24 h-16 shrink-0 rounded overflow-hidden bg-slate-100">${i.image ? `<img src="${this.escapeHTML(this.imageUrl(i.image, 'w=192,h=128,fit=cover,q=70,f=auto'))}" loading="lazy" class="w-full h-full object-cover">` : ''}</div><div class="flex flex-col justify-between py-0.5 flex-grow"><h2 class="text-xs font-bold leading-snug text-slate-800 line-clamp-2">${this.escapeHTML(i.title)}</h2><div class="flex items-center justify-between mt-2"><div class="flex items-center gap-2"><span class="text-[8px] font-black uppercase px-1.5 py-0.5 border rounded ${i.color}">${this.escapeHTML(i.source)}</span><span class="text-[8px] text-slate-400 font-medium">${this.timeAgo(i.timestamp)}</span></div><svg class="w-3 h-3 text-slate-300 card-chevron transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="3" d="M19 9l-7 7-7-7"></path></svg></div></div></div><div class="accordion-content"><a href="${i.link}" class="block bg-red-50 border-l-4 border-red-600 p-5 pt-4 pb-4 relative mb-4 mx-4 rounded-r-xl shadow-sm active:bg-red-100/50 transition-colors"><ul class="summary-target space-y-2 list-disc list-inside text-[13px] leading-relaxed text-red-900 font-medium pb-2"><div class="flex justify-center p-2"><div class="animate-pulse flex space-x-1"><div class="h-1 w-1 bg-red-300 rounded-full"></div><div class="h-1 w-1 bg-red-300 rounded-full"></div><div class="h-1 w-1 bg-red-300 rounded-full"></div></div></div></ul><div class="absolute bottom-1.5 right-2 opacity-30"><span class="text-[7px] font-black uppercase tracking-tighter text-red-900 italic">AI 总结</span></div></a>${saveBtn}</div></div>`;
+  },
+
+  // Manifest, icon and service worker for the installable/offline app.
+  handlePWA(path) {
+    if (path === '/manifest.webmanifest') {
+      return new Response(JSON.stringify({ name: "智能新闻", short_name: "SmartNews", start_url: "/", scope: "/", display: "standalone", background_color: "#f8fafc", theme_color: "#0f172a", icons: [{ src: "/icon.svg", sizes: "any", type: "image/svg+xml", purpose: "any maskable" }] }), { headers: { "Content-Type": "application/manifest+json", "Cache-Control": "public, max-age=86400" } });
+    }
+    if (path === '/icon.svg') {
+      return new Response(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512"><rect width="512" height="512" fill="#0f172a"/><rect x="112" y="144" width="288" height="40" rx="8" fill="#fff"/><rect x="112" y="232" width="288" height="24" rx="6" fill="#94a3b8"/><rect x="112" y="288" width="200" height="24" rx="6" fill="#94a3b8"/><rect x="96" y="352" width="8" height="48" fill="#dc2626"/><rect x="120" y="360" width="176" height="14" rx="4" fill="#fca5a5"/><rect x="120" y="384" width="120" height="14" rx="4" fill="#fca5a5"/></svg>`, { headers: { "Content-Type": "image/svg+xml", "Cache-Control": "public, max-age=86400" } });
+    }
+    // no-cache so browsers pick up a new worker on the next navigation after a deploy.
+    return new Response(this.renderServiceWorker(), { headers: { "Content-Type": "application/javascript; charset=UTF-8", "Cache-Control": "no-cache" } });
+  },
+
+  /**
+   * Feed and articles are network-first, summaries and images cache-first, all falling back to
+   * whatever was cached last. Saved articles live in their own cache so they are never trimmed.
+   */
+  renderServiceWorker() {
+    return `const V = '${PWA_CACHE_VERSION}-';
+const PAGES = V + 'pages', SAVED = V + 'saved', DATA = V + 'data', IMAGES = V + 'images', STATIC = V + 'static';
+const LIMITS = { [PAGES]: 40, [DATA]: 300, [IMAGES]: 300 };
+
+self.addEventListener('install', (e) => e.waitUntil(caches.open(STATIC).then(c => c.addAll(['/manifest.webmanifest', '/icon.svg'])).then(() => self.skipWaiting())));
+self.addEventListener('activate', (e) => e.waitUntil(caches.keys().then(keys => Promise.all(keys.filter(k => !k.startsWith(V)).map(k => caches.delete(k)))).then(() => self.clients.claim())));
+
+const put = async (name, req, res) => {
+  if (!res.ok || res.redirected || res.headers.get('X-Image-Fallback')) return;
+  // /summary/ and /cluster report failures as a 200 HTML debug page; only keep real answers.
+  if (name === DATA && !(res.headers.get('Content-Type') || '').includes('application/json')) return;
+  const cache = await caches.open(name);
+  await cache.put(req, res);
+  const keys = LIMITS[name] ? await cache.keys() : [];
+  for (const k of keys.slice(0, Math.max(0, keys.length - LIMITS[name]))) await cache.delete(k);
+};
+const offline = async (req) => {
+  if (req.mode !== 'navigate') return new Response(JSON.stringify({ error: 'offline' }), { status: 503, headers: { 'Content-Type': 'application/json' } });
+  if (new URL(req.url).pathname === '/') { const feed = await caches.match('/'); if (feed) return feed; }
+  return new Response('<!DOCTYPE html><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1"><body style="font-family:sans-serif;text-align:center;padding:4rem 1rem;color:#64748b"><p>离线中，这篇文章还没有缓存。</p><p><a href="/">返回首页</a></p></body>', { status: 503, headers: { 'Content-Type': 'text/html; charset=UTF-8' } });
+};
+const networkFirst = async (e, name) => {
+  try {
+    const res = await fetch(e.request);
+    e.waitUntil(put(name, e.request, res.clone()));
+    return res;
+  } catch (err) {
+    return (await caches.match(e.request)) || offline(e.request);
+  }
+};
+const cacheFirst = async (e, name) => {
+  const hit = await caches.match(e.request);
+  if (hit) return hit;
+  try {
+    const res = await fetch(e.request);
+    e.waitUntil(put(name, e.request, res.clone()));
+    return res;
+  } catch (err) {
+    return offline(e.request);
+  }
+};
+// Tailwind comes from a CDN as an opaque response; serve the cached copy and refresh it behind.
+const staleWhileRevalidate = async (e) => {
+  const hit = await caches.match(e.request);
+  const update = fetch(e.request).then(async (res) => {
+    if (res.ok || res.type === 'opaque') await (await caches.open(STATIC)).put(e.request, res.clone());
+    return res;
+  });
+  if (!hit) return update;
+  e.waitUntil(update.catch(() => {}));
+  return hit;
+};
+
+// Saving pulls the article and its images into the untrimmed cache, even if it was never opened.
+const saveArticle = async (url) => {
+  try {
+    const cache = await caches.open(SAVED);
+    const res = await fetch(url, { credentials: 'same-origin' });
+    if (!res.ok) return;
+    const html = await res.clone().text();
+    await cache.put(url, res);
+    const images = [...html.matchAll(/src="(\\/image\\/[^"]+)"/g)].map(m => m[1].replace(/&amp;/g, '&'));
+    await Promise.all(images.map(src => fetch(src).then(r => r.ok && cache.put(src, r)).catch(() => {})));
+  } catch (err) {}
+};
+// Cached feeds and articles carry the previous user's state.
+const forgetUser = () => Promise.all([PAGES, SAVED, DATA].map(n => caches.delete(n)));
+
+self.addEventListener('message', (e) => {
+  const { type, url } = e.data || {};
+  if (type === 'save' && url) e.waitUntil(saveArticle(url));
+  if (type === 'unsave' && url) e.waitUntil(caches.open(SAVED).then(c => c.delete(url)));
+});
+
+self.addEventListener('fetch', (e) => {
+  const url = new URL(e.request.url);
+  if (e.request.method !== 'GET') {
+    if (url.origin === location.origin && (url.pathname === '/api/logout' || url.pathname.startsWith('/login/'))) e.waitUntil(forgetUser());
+    return;
+  }
+  if (url.origin !== location.origin) {
+    if (url.hostname === 'cdn.tailwindcss.com') e.respondWith(staleWhileRevalidate(e));
+    return;
+  }
+  if (url.pathname === '/' || url.pathname.startsWith('/article/')) e.respondWith(networkFirst(e, PAGES));
+  else if (url.pathname.startsWith('/summary/') || url.pathname === '/cluster') e.respondWith(cacheFirst(e, DATA));
+  else if (url.pathname.startsWith('/image/')) e.respondWith(cacheFirst(e, IMAGES));
+  else if (url.pathname === '/manifest.webmanifest' || url.pathname === '/icon.svg') e.respondWith(cacheFirst(e, STATIC));
+});
+`;
+  },
+
+  pwaHead() {
+    return `<link rel="manifest" href="/manifest.webmanifest"><link rel="icon" href="/icon.svg"><link rel="apple-touch-icon" href="/icon.svg"><meta name="theme-color" content="#0f172a">`;
+  },
+
+  /**
+   * Registers the service worker and defines pushRead(): read marks go into a pending_read
+   * queue in localStorage and are flushed to /api/state now, on load and whenever the device
+   * comes back online. The server keeps the newest timestamp per id, so replays are harmless.
+   * Only signed-in devices queue marks. Pages rendered per user pass signedIn so the flag stays
+   * current; the edge-cached article page omits it and reads the last known value.
+   */
+  pwaScript(signedIn) {
+    const remember = signedIn === undefined ? '' : signedIn ? `localStorage.setItem('signed_in', '1'); ` : `localStorage.removeItem('signed_in'); localStorage.removeItem('pending_read'); `;
+    return `${remember}if ('serviceWorker' in navigator) navigator.serviceWorker.register('/sw.js').catch(() => {}); const swPost = (msg) => navigator.serviceWorker?.controller?.postMessage(msg); const signedIn = () => localStorage.getItem('signed_in') === '1'; const flushRead = async () => { const pending = JSON.parse(localStorage.getItem('pending_read') || '{}'); if (!Object.keys(pending).length || !navigator.onLine) return; try { const res = await fetch('/api/state', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ read: pending }) }); if (res.status === 401) localStorage.removeItem('signed_in'); if (!res.ok && !(res.status >= 400 && res.status < 500) && res.status !== 503) return; const now = JSON.parse(localStorage.getItem('pending_read') || '{}'); Object.keys(pending).forEach(id => { if (now[id] === pending[id]) delete now[id]; }); localStorage.setItem('pending_read', JSON.stringify(now)); } catch (e) {} }; const pushRead = (read) => { if (!signedIn()) return Promise.resolve(); localStorage.setItem('pending_read', JSON.stringify(Object.assign(JSON.parse(localStorage.getItem('pending_read') || '{}'), read))); return flushRead(); }; window.addEventListener('online', flushRead); flushRead();`;
+  },
+
+  renderHome(news, opts = {}) {
+    const state = opts.state;
+    const boot = state ? { read: Object.fromEntries(news.flatMap(i => [i, ...(i.cluster || [])]).map(i => btoa(i.link)).filter(id => state.read[id]).map(id => [id, state.read[id]])) } : null;
+    const tab = (view, label) => `<a href="${view ? `/?view=${view}` : '/'}" class="pb-2 border-b-2 ${(opts.view || '') === view ? 'border-slate-900 text-slate-900' : 'border-transparent text-slate-400'}">${label}</a>`;
+    return `<!DOCTYPE html><html lang="zh-CN"><head><meta charset="UTF-8"><meta name="apple-mobile-web-app-capable" content="yes"><meta name="apple-mobile-web-app-status-bar-style" content="black-translucent"><meta name="viewport" content="width=device-width, initial-scale=1, maximum-scale=1, user-scalable=no, viewport-fit=cover"><title>智能新闻</title>${this.pwaHead()}<script src="https://cdn.tailwindcss.com"></script><style>.is-read .card-header { opacity: 0.3; filter: grayscale(1); }.accordion-content { max-height: 0; overflow: hidden; transition: max-height 0.3s ease-out; }.expanded .accordion-content { max-height: 600px; }.cluster.expanded .accordion-content { max-height: 1400px; }.expanded .card-chevron { transform: rotate(180deg); }header { padding-top: env(safe-area-inset-top, 0px); }</style></head><body class="bg-slate-50 min-h-screen font-sans"><header class="sticky top-0 z-50 bg-white/95 backdrop-blur-md border-b shadow-sm"><div class="flex justify-between items-center p-4"><a href="/"><h1 class="font-black text-xl text-slate-900 tracking-tighter uppercase">SmartNews</h1></a><div class="flex gap-2"><a href="/search" class="text-[9px] font-bold text-slate-400 border px-2 py-1 rounded hover:bg-slate-50 uppercase">搜索</a><a href="/account" class="text-[9px] font-bold text-slate-400 border px-2 py-1 rounded hover:bg-slate-50 uppercase">${state ? '账户' : '登录'}</a><button onclick="resetRead()" class="text-[9px] font-bold text-slate-400 border px-2 py-1 rounded hover:bg-slate-50 uppercase">Reset</button></div></div>${state ? `<nav class="flex gap-5 px-4 text-[10px] font-black uppercase tracking-widest">${tab('', '全部')}${tab('unread', '未读')}${tab('saved', '收藏')}</nav>` : ''}</header><main id="feed" class="max-w-md mx-auto divide-y bg-white">${opts.banner || ''}${news.map(i => this.renderCard(i, opts)).join('') || `<p class="p-10 text-center text-xs text-slate-400">${opts.empty || (opts.view === 'saved' ? '还没有收藏的文章' : '没有未读的文章')}</p>`}${opts.footer || ''}</main><script>${this.pwaScript(!!state)} const SNR_USER = ${JSON.stringify(boot).replace(/</g, '\\u003c')}; const pushState = (body) => SNR_USER ? fetch('/api/state', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }).catch(() => {}) : Promise.resolve(); if (SNR_USER) { Object.entries(SNR_USER.read).forEach(([id, ts]) => localStorage.setItem('read_' + id, ts)); const local = {}; document.querySelectorAll('.news-card').forEach(c => { const ts = localStorage.getItem('read_' + c.dataset.id); if (ts && !SNR_USER.read[c.dataset.id]) local[c.dataset.id] = +ts || Date.now(); }); if (Object.keys(local).length) pushState({ read: local }); } const resetRead = async () => { if (!confirm('Clear read history?')) return; Object.keys(localStorage).filter(k => k.startsWith('read_')).forEach(k => localStorage.removeItem(k)); localStorage.removeItem('pending_read'); await pushState({ clearRead: true }); location.reload(); }; document.querySelectorAll('.save-btn').forEach(btn => btn.addEventListener('click', async () => { const item = JSON.parse(btn.dataset.item); const saving = !btn.textContent.includes('★'); await pushState(saving ? { save: [item] } : { unsave: [item.link] }); swPost({ type: saving ? 'save' : 'unsave', url: item.link }); btn.textContent = saving ? '★ 已收藏' : '☆ 收藏'; btn.classList.toggle('text-amber-600', saving); btn.classList.toggle('border-amber-300', saving); btn.classList.toggle('text-slate-400', !saving); })); const syncStatus = () => document.querySelectorAll('.news-card').forEach(c => localStorage.getItem('read_'+c.dataset.id) && c.classList.add('is-read')); syncStatus(); window.addEventListener('pageshow', (e) => e.persisted && syncStatus()); document.querySelectorAll('.card-header').forEach(header => { let readTimer; const startTimer = (card) => { clearTimeout(readTimer); readTimer = setTimeout(() => { if (card.classList.contains('expanded')) { const ids = [card.dataset.id, ...(card.dataset.members ? card.dataset.members.split(' ').map(m => btoa(m)) : [])]; ids.forEach(id => localStorage.setItem('read_' + id, Date.now())); if (SNR_USER) pushRead(Object.fromEntries(ids.map(id => [id, Date.now()]))); card.classList.add('is-read'); } }, 1000); }; header.addEventListener('click', async () => { const card = header.closest('.news-card'); const isExpanded = card.classList.toggle('expanded'); const target = card.querySelector('.summary-target'); const url = card.dataset.url; const members = card.dataset.members ? card.dataset.members.split(' ') : null; if (isExpanded) { if (card.dataset.loaded) { startTimer(card); } else { try { const res = await fetch(members ? '/cluster?' + members.map(m => 'u=' + encodeURIComponent(m.replace('/article/', ''))).join('&') : '/summary/' + url.replace('/article/', '')); if (!res.ok) throw new Error(); const data = await res.json(); const points = members ? data.points : data; target.innerHTML = points.map(p => \`<li>\${p}</li>\`).join(''); if (members && data.disagreements.length) { const d = card.querySelector('.disagree-target'); d.innerHTML = \`<p class="text-[9px] font-black uppercase tracking-widest text-amber-700 mb-1">报道分歧</p>\` + data.disagreements.map(p => \`<li>\${p}</li>\`).join(''); d.classList.remove('hidden'); } card.dataset.loaded = "true"; startTimer(card); } catch(err) { target.innerHTML = \`<li class="list-none text-center p-2"><p class="text-[10px] text-slate-500 mb-1 font-bold uppercase">\${navigator.onLine ? 'Summary failed' : 'Offline'}</p><span class="text-xs text-blue-600 underline">Read full article</span></li>\`; } } } else { clearTimeout(readTimer); } }); });</script></body></html>`;
   },
 
   renderArticle(data) {
-    return `<!DOCTYPE html><html lang="zh-CN"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1, viewport-fit=cover"><script src="https://cdn.tailwindcss.com"></script><style>body { padding-top: env(safe-area-inset-top, 0px); }</style></head><body class="bg-white"><div class="max-w-xl mx-auto">${data.image_url ? `<img src="${data.image_url}" class="w-full aspect-video object-cover">` : ''}<div class="p-6"><h1 class="text-2xl font-black mb-6 leading-tight text-slate-900">${data.title}</h1><div class="bg-red-50 border-l-4 border-red-600 p-5 mb-8 rounded-r-xl shadow-sm relative"><ul class="space-y-2 list-disc list-inside text-sm font-medium text-red-900 pb-2">${data.summary_points.map(p => `<li>${p}</li>`).join('')}</ul><div class="absolute bottom-1.5 right-2 opacity-30"><span class="text-[7px] font-black uppercase tracking-tighter text-red-900 italic">AI 总结</span></div></div><div class="space-y-6 text-slate-800 leading-relaxed text-lg">${data.paragraphs.map(p => `<p>${p}</p>`).join('')}</div></div><footer class="p-10 border-t mt-10 text-center"><a href="/" class="bg-black text-white px-10 py-4 rounded-full text-[10px] font-black tracking-widest uppercase shadow-lg hover:bg-slate-800 transition-colors">← Back to Feed</a></footer></div><script>const articleId = btoa(window.location.pathname); setTimeout(() => localStorage.setItem('read_' + articleId, Date.now()), 1000);</script></body></html>`;
+    const t = data.translations;
+    const side = t && data.layout === 'side';
+    const body = t
+      ? data.paragraphs.map((p, n) => side
+        ? `<div class="grid md:grid-cols-2 gap-2 md:gap-8"><p>${p}</p><p class="text-slate-500 md:text-slate-700">${t[n] ? this.escapeHTML(t[n]) : '<span class="text-xs text-slate-300 uppercase">Translation unavailable</span>'}</p></div>`
+        : `<div><p>${p}</p>${t[n] ? `<p class="mt-2 pl-4 border-l-2 border-slate-200 text-slate-500 text-base">${this.escapeHTML(t[n])}</p>` : ''}</div>`).join('')
+      : data.paragraphs.map(p => `<p>${p}</p>`).join('');
+    const langLink = (code, label) => `<a href="?lang=${code}${data.layout === 'inline' ? '&layout=inline' : ''}" class="px-2 py-1 rounded ${data.lang === code ? 'bg-black text-white' : 'border text-slate-500'}">${label}</a>`;
+    const toolbar = `<div class="flex flex-wrap items-center gap-2 mb-6 text-[9px] font-black uppercase tracking-widest"><a href="?" class="px-2 py-1 rounded ${data.lang ? 'border text-slate-500' : 'bg-black text-white'}">原文</a>${Object.entries(LANGUAGES).map(([code, l]) => langLink(code, l.label)).join('')}${data.lang ? `<span class="ml-auto flex gap-2"><a href="?lang=${data.lang}&layout=side" class="px-2 py-1 rounded ${side ? 'bg-slate-200' : 'text-slate-400'}">并排</a><a href="?lang=${data.lang}&layout=inline" class="px-2 py-1 rounded ${side ? 'text-slate-400' : 'bg-slate-200'}">穿插</a></span>` : ''}</div>`;
+    return `<!DOCTYPE html><html lang="${data.lang === 'en' ? 'en' : data.lang === 'zh-Hant' ? 'zh-Hant' : 'zh-CN'}"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1, viewport-fit=cover">${this.pwaHead()}<script src="https://cdn.tailwindcss.com"></script><style>body { padding-top: env(safe-area-inset-top, 0px); }</style></head><body class="bg-white"><div class="${side ? 'max-w-5xl' : 'max-w-xl'} mx-auto">${data.image_url ? `<img src="${this.escapeHTML(this.imageUrl(data.image_url, `w=${side ? 1600 : 1200},q=75,f=auto`))}" class="w-full aspect-video object-cover">` : ''}<div class="p-6"><h1 class="text-2xl font-black mb-2 leading-tight text-slate-900">${data.title}</h1>${data.translated_title && data.translated_title !== data.title ? `<h2 class="text-lg font-bold mb-4 leading-tight text-slate-500">${this.escapeHTML(data.translated_title)}</h2>` : ''}${toolbar}<div class="bg-red-50 border-l-4 border-red-600 p-5 mb-8 rounded-r-xl shadow-sm relative"><ul class="space-y-2 list-disc list-inside text-sm font-medium text-red-900 pb-2">${data.summary_points.map(p => `<li>${p}</li>`).join('')}</ul><div class="absolute bottom-1.5 right-2 opacity-30"><span class="text-[7px] font-black uppercase tracking-tighter text-red-900 italic">AI 总结</span></div></div><div class="space-y-6 text-slate-800 leading-relaxed text-lg">${body}</div></div><footer class="p-10 border-t mt-10 flex justify-center gap-3"><a href="/" class="bg-black text-white px-10 py-4 rounded-full text-[10px] font-black tracking-widest uppercase shadow-lg hover:bg-slate-800 transition-colors">← Back to Feed</a><button id="saveArticle" class="border px-6 py-4 rounded-full text-[10px] font-black tracking-widest uppercase text-slate-500 hover:bg-slate-50">☆ 收藏</button></footer></div><script>${this.pwaScript()} const articleId = btoa(window.location.pathname); const pushState = (body) => fetch('/api/state', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }).catch(() => ({ ok: false })); setTimeout(() => { localStorage.setItem('read_' + articleId, Date.now()); pushRead({ [articleId]: Date.now() }); }, 1000); document.getElementById('saveArticle').addEventListener('click', async (e) => { const res = await pushState({ save: [{ link: window.location.pathname, title: document.querySelector('h1').textContent, source: window.location.pathname.split('/')[2].replace(/^www\\./, ''), image: document.querySelector('img')?.getAttribute('src') || '', timestamp: Date.now() }] }); if (res.status === 401) location.href = '/account'; else if (res.ok) { e.target.textContent = '★ 已收藏'; swPost({ type: 'save', url: window.location.pathname }); } });</script></body></html>`;
+  },
+
+  renderAccount(opts) {
+    const s = opts.state;
+    const shell = (inner, script = '') => `<!DOCTYPE html><html lang="zh-CN"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1, viewport-fit=cover"><title>账户 · SmartNews</title><script src="https://cdn.tailwindcss.com"></script><style>header { padding-top: env(safe-area-inset-top, 0px); }</style></head><body class="bg-slate-50 min-h-screen font-sans text-slate-800"><header class="sticky top-0 z-50 bg-white/95 backdrop-blur-md border-b shadow-sm"><div class="max-w-md mx-auto flex justify-between items-center p-4"><h1 class="font-black text-xl text-slate-900 tracking-tighter uppercase">SmartNews <span class="text-slate-400">/ 账户</span></h1><a href="/" class="text-[9px] font-bold text-slate-400 border px-2 py-1 rounded hover:bg-slate-50 uppercase">Feed</a></div></header><main class="max-w-md mx-auto p-4 space-y-4 text-xs">${inner}</main>${script ? `<script>${script}</script>` : ''}</body></html>`;
+    const card = (title, body) => `<section class="bg-white border rounded-xl shadow-sm p-5 space-y-3"><h2 class="text-[10px] font-black uppercase tracking-widest text-slate-400">${title}</h2>${body}</section>`;
+    const btn = (id, label, dark) => `<button id="${id}" class="${dark ? 'bg-black text-white' : 'border'} px-6 py-2 rounded-full text-[10px] font-black tracking-widest uppercase">${label}</button>`;
+    const post = `const post = async (url, body) => { const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body || {}) }); const data = await res.json(); if (!res.ok) throw new Error(data.error || res.status); return data; };`;
+
+    if (opts.loginToken) return shell(card('设备登录', `<p>使用此链接登录你的 SmartNews 账户。登录后，阅读记录、收藏和屏蔽设置会在设备间同步。</p><form method="POST" action="/login/${this.escapeHTML(opts.loginToken)}">${btn('confirm', '在此设备登录', true)}</form>`));
+    if (opts.error) return shell(card('登录失败', `<p class="text-red-600 font-bold">${this.escapeHTML(opts.error)}</p><a href="/account" class="text-blue-600 underline">返回账户页</a>`));
+    if (!opts.enabled) return shell(card('账户', '<p>账户功能未启用（需要 USER_DATA KV 与 USER_STATE Durable Object 绑定）。</p>'));
+
+    if (!s) {
+      return shell(card('同步阅读记录', `<p>创建一个匿名账户，在手机、平板和电脑之间同步已读、收藏和屏蔽设置。无需邮箱或密码。</p><p class="text-slate-400">已有账户？在已登录的设备上打开此页面，生成“设备登录链接”，再在本设备打开该链接。</p>${btn('create', '创建账户', true)}<p id="msg" class="font-bold text-red-600"></p>`),
+        `${post} document.getElementById('create').addEventListener('click', async () => { try { await post('/api/account'); const local = {}; Object.keys(localStorage).filter(k => k.startsWith('read_')).forEach(k => local[k.slice(5)] = +localStorage.getItem(k) || Date.now()); if (Object.keys(local).length) await post('/api/state', { read: local }); location.href = '/'; } catch (e) { document.getElementById('msg').textContent = e.message; } });`);
+    }
+
+    const muted = new Set(s.mutedSources);
+    return shell(
+      card('账户', `<p>已读 <b>${Object.keys(s.read).length}</b> 篇 · 收藏 <b>${Object.keys(s.saved).length}</b> 篇</p><div class="flex flex-wrap gap-2"><a href="/?view=saved" class="border px-6 py-2 rounded-full text-[10px] font-black tracking-widest uppercase">查看收藏</a>${btn('logout', '退出登录')}</div>`) +
+      card('添加设备', `<p>生成一次性登录链接（15 分钟内有效），在另一台设备上打开即可登录同一账户。</p>${btn('link', '生成设备登录链接', true)}<input id="linkOut" readonly class="hidden w-full border rounded p-2 font-mono text-[10px]" onclick="this.select()">`) +
+      card('屏蔽', `<div class="flex flex-wrap gap-2">${(opts.sourceNames || []).map(n => `<label class="flex items-center gap-1 border rounded px-2 py-1"><input type="checkbox" class="mute-src" value="${this.escapeHTML(n)}" ${muted.has(n) ? 'checked' : ''}>${this.escapeHTML(n)}</label>`).join('')}</div><label class="block space-y-1"><span class="font-bold">屏蔽关键词（逗号分隔）</span><input id="keywords" value="${this.escapeHTML(s.mutedKeywords.join(', '))}" class="w-full border rounded p-2"></label><div class="flex items-center gap-3">${btn('savePrefs', '保存', true)}<span id="msg" class="font-bold"></span></div>`),
+      `${post} const msg = document.getElementById('msg'); document.getElementById('savePrefs').addEventListener('click', async () => { try { await post('/api/state', { mutedSources: [...document.querySelectorAll('.mute-src:checked')].map(c => c.value), mutedKeywords: document.getElementById('keywords').value.split(/[,，]/).map(k => k.trim()).filter(Boolean) }); msg.className = 'font-bold text-green-600'; msg.textContent = '已保存'; } catch (e) { msg.className = 'font-bold text-red-600'; msg.textContent = e.message; } }); document.getElementById('link').addEventListener('click', async () => { const out = document.getElementById('linkOut'); try { const r = await post('/api/account/link'); out.value = r.url; out.classList.remove('hidden'); out.select(); navigator.clipboard?.writeText(r.url).catch(() => {}); } catch (e) { alert(e.message); } }); document.getElementById('logout').addEventListener('click', async () => { if (!confirm('退出登录？')) return; await post('/api/logout').catch(() => {}); location.href = '/'; });`
+    );
+  },
+
+  renderStatus(status, index) {
+    const run = status?.lastRun;
+    const stat = (label, value, tone = 'text-slate-900') => `<div class="bg-white border rounded-xl shadow-sm p-4"><div class="text-[9px] font-black uppercase tracking-widest text-slate-400">${label}</div><div class="text-xl font-black ${tone}">${value}</div></div>`;
+    const sources = Object.entries(status?.sources || {});
+    return `<!DOCTYPE html><html lang="zh-CN"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Status · SmartNews Admin</title><script src="https://cdn.tailwindcss.com"></script></head><body class="bg-slate-50 min-h-screen font-sans text-slate-800"><header class="sticky top-0 z-50 bg-white/95 backdrop-blur-md border-b shadow-sm"><div class="max-w-4xl mx-auto flex justify-between items-center p-4"><h1 class="font-black text-xl text-slate-900 tracking-tighter uppercase">SmartNews <span class="text-slate-400">/ Status</span></h1><div class="flex gap-2"><a href="/admin/sources" class="text-[9px] font-bold text-slate-400 border px-2 py-1 rounded hover:bg-slate-50 uppercase">Sources</a><a href="/" class="text-[9px] font-bold text-slate-400 border px-2 py-1 rounded hover:bg-slate-50 uppercase">Feed</a></div></div></header><main class="max-w-4xl mx-auto p-4 space-y-6 text-xs">${!run ? '<p class="bg-white border rounded-xl p-5 text-slate-500">No scheduled run recorded yet. Add a cron trigger for this worker.</p>' : `${run.error ? `<p class="bg-red-50 border border-red-200 rounded-xl p-4 text-red-700 font-bold">Last run failed: ${this.escapeHTML(run.error)}</p>` : ''}<section class="grid grid-cols-2 sm:grid-cols-4 gap-3">${stat('Last run', this.timeAgo(run.started))}${stat('Duration', `${((run.finished - run.started) / 1000).toFixed(1)}s`)}${stat('Queue depth', status.queueDepth ?? 0, status.queueDepth > 50 ? 'text-amber-600' : 'text-slate-900')}${stat('Index age', index ? this.timeAgo(index.updated) : 'none')}${stat('Items', run.items ?? 0)}${stat('New items', run.newItems ?? 0)}${stat('Summarized', `${run.summarized ?? 0} / ${run.attempts ?? 0}`)}${stat('Already cached', run.alreadyCached ?? 0)}</section>`}<section class="bg-white border rounded-xl shadow-sm overflow-x-auto"><table class="w-full"><thead class="bg-slate-50 text-[9px] uppercase tracking-widest text-slate-400"><tr><th class="p-3 text-left">Source</th><th class="p-3 text-right">Items</th><th class="p-3 text-right">Time</th><th class="p-3 text-left">Last success</th><th class="p-3 text-left">Error</th></tr></thead><tbody class="divide-y">${sources.map(([id, s]) => `<tr><td class="p-3"><span class="inline-block w-2 h-2 rounded-full mr-2 ${s.ok ? 'bg-green-500' : 'bg-red-500'}"></span><b>${this.escapeHTML(s.name)}</b><div class="text-[9px] text-slate-400 break-all">${this.escapeHTML(id)} · ${this.escapeHTML(s.url)}</div></td><td class="p-3 text-right">${s.items}</td><td class="p-3 text-right">${s.ms}ms</td><td class="p-3">${s.lastSuccess ? this.timeAgo(s.lastSuccess) : 'never'}</td><td class="p-3 text-red-600">${s.ok ? '' : `${this.escapeHTML(s.error)}${s.consecutiveFailures > 1 ? ` <span class="text-[9px] text-slate-400">×${s.consecutiveFailures}</span>` : ''}`}</td></tr>`).join('') || '<tr><td colspan="5" class="p-3 text-slate-400">No source results yet.</td></tr>'}</tbody></table></section>${run?.failures?.length ? `<section class="bg-white border rounded-xl shadow-sm p-5"><h2 class="text-[10px] font-black uppercase tracking-widest text-slate-400 mb-3">Summary failures (last run)</h2><ul class="space-y-1">${run.failures.map(f => `<li><a href="${this.escapeHTML(f.link)}" class="text-blue-600 break-all">${this.escapeHTML(f.link)}</a> <span class="text-red-600">${this.escapeHTML(f.error)}</span></li>`).join('')}</ul></section>` : ''}</main></body></html>`;
+  },
+
+  renderAdminSources() {
+    return `<!DOCTYPE html><html lang="zh-CN"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Sources · SmartNews Admin</title><script src="https://cdn.tailwindcss.com"></script></head><body class="bg-slate-50 min-h-screen font-sans text-slate-800"><header class="sticky top-0 z-50 bg-white/95 backdrop-blur-md border-b shadow-sm"><div class="max-w-4xl mx-auto flex justify-between items-center p-4"><h1 class="font-black text-xl text-slate-900 tracking-tighter uppercase">SmartNews <span class="text-slate-400">/ Sources</span></h1><div class="flex gap-2"><a href="/admin/status" class="text-[9px] font-bold text-slate-400 border px-2 py-1 rounded hover:bg-slate-50 uppercase">Status</a><a href="/" class="text-[9px] font-bold text-slate-400 border px-2 py-1 rounded hover:bg-slate-50 uppercase">Feed</a></div></div></header><main class="max-w-4xl mx-auto p-4 space-y-6"><section class="bg-white border rounded-xl shadow-sm overflow-x-auto"><table class="w-full text-xs"><thead class="bg-slate-50 text-[9px] uppercase tracking-widest text-slate-400"><tr><th class="p-3 text-left">Source</th><th class="p-3 text-left">Feed</th><th class="p-3 text-left">Filters</th><th class="p-3"></th></tr></thead><tbody id="rows" class="divide-y"></tbody></table></section><section class="bg-white border rounded-xl shadow-sm p-5"><h2 class="text-[10px] font-black uppercase tracking-widest text-slate-400 mb-4">Add / Edit Feed</h2><form id="form" class="grid grid-cols-1 sm:grid-cols-2 gap-3 text-xs"><input type="hidden" name="id"><label class="space-y-1"><span class="font-bold">Name</span><input name="name" required class="w-full border rounded p-2"></label><label class="space-y-1"><span class="font-bold">Color class</span><input name="color" placeholder="text-slate-900" class="w-full border rounded p-2"></label><label class="space-y-1 sm:col-span-2"><span class="font-bold">Feed URL</span><input name="url" type="url" required class="w-full border rounded p-2"></label><label class="space-y-1"><span class="font-bold">Domain (Host header)</span><input name="domain" placeholder="defaults to feed host" class="w-full border rounded p-2"></label><label class="flex items-center gap-2 pt-5"><input name="enabled" type="checkbox" checked><span class="font-bold">Enabled</span></label><label class="space-y-1"><span class="font-bold">Skip categories</span><input name="skipCategories" placeholder="comma separated" class="w-full border rounded p-2"></label><label class="space-y-1"><span class="font-bold">Skip title keywords</span><input name="skipKeywords" placeholder="comma separated" class="w-full border rounded p-2"></label><div class="sm:col-span-2 flex gap-2 pt-2"><button type="submit" class="bg-black text-white px-6 py-2 rounded-full text-[10px] font-black tracking-widest uppercase">Save</button><button type="button" id="test" class="border px-6 py-2 rounded-full text-[10px] font-black tracking-widest uppercase">Test</button><button type="reset" class="text-slate-400 px-4 py-2 text-[10px] font-black tracking-widest uppercase">Clear</button><span id="msg" class="self-center text-[10px] font-bold"></span></div></form></section><section id="preview" class="hidden bg-white border rounded-xl shadow-sm p-5"><h2 id="previewHead" class="text-[10px] font-black uppercase tracking-widest text-slate-400 mb-4"></h2><ul id="previewItems" class="divide-y text-xs"></ul></section></main><script>
+const esc = (s) => String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+const form = document.getElementById('form'), msg = document.getElementById('msg'), el = (n) => form.elements.namedItem(n);
+let sources = [];
+const api = async (url, opts) => { const res = await fetch(url, opts); const body = await res.json(); if (!res.ok) throw new Error(body.error || res.status); return body; };
+const readForm = () => { const f = new FormData(form); return { id: f.get('id'), name: f.get('name'), url: f.get('url'), color: f.get('color'), domain: f.get('domain'), enabled: el('enabled').checked, filters: { skipCategories: f.get('skipCategories'), skipKeywords: f.get('skipKeywords') } }; };
+const fillForm = (s) => { el('id').value = s.id; el('name').value = s.name; el('url').value = s.url; el('color').value = s.color; el('domain').value = s.domain; el('enabled').checked = s.enabled !== false; el('skipCategories').value = (s.filters?.skipCategories || []).join(', '); el('skipKeywords').value = (s.filters?.skipKeywords || []).join(', '); window.scrollTo({ top: form.offsetTop - 80, behavior: 'smooth' }); };
+const render = () => { document.getElementById('rows').innerHTML = sources.map((s, i) => '<tr class="' + (s.enabled === false ? 'opacity-40' : '') + '"><td class="p-3"><span class="text-[8px] font-black uppercase px-1.5 py-0.5 border rounded ' + esc(s.color) + '">' + esc(s.name) + '</span><div class="text-[9px] text-slate-400 mt-1">' + esc(s.id) + '</div></td><td class="p-3 break-all">' + esc(s.url) + '<div class="text-[9px] text-slate-400">' + esc(s.domain) + '</div></td><td class="p-3 text-[10px] text-slate-500">' + esc([...(s.filters?.skipCategories || []), ...(s.filters?.skipKeywords || [])].join(', ')) + '</td><td class="p-3 whitespace-nowrap text-right space-x-2 text-[10px] font-bold uppercase"><button data-act="edit" data-i="' + i + '" class="text-blue-600">Edit</button><button data-act="toggle" data-i="' + i + '" class="text-slate-500">' + (s.enabled === false ? 'Enable' : 'Disable') + '</button><button data-act="test" data-i="' + i + '" class="text-slate-500">Test</button><button data-act="delete" data-i="' + i + '" class="text-red-600">Delete</button></td></tr>').join(''); };
+const load = async () => { sources = await api('/admin/api/sources'); render(); };
+const save = async (s) => { await api('/admin/api/sources', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(s) }); await load(); };
+const test = async (s) => { const head = document.getElementById('previewHead'), list = document.getElementById('previewItems'); document.getElementById('preview').classList.remove('hidden'); head.textContent = 'Testing ' + s.url + ' …'; list.innerHTML = ''; try { const r = await api('/admin/api/test', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(s) }); head.textContent = 'HTTP ' + r.status + ' · ' + (r.contentType || '?') + ' · ' + r.bytes + ' bytes · ' + r.ms + 'ms · ' + r.count + ' items'; list.innerHTML = r.items.map(i => '<li class="flex gap-3 py-2"><div class="w-16 h-10 shrink-0 rounded overflow-hidden bg-slate-100">' + (i.image ? '<img src="' + esc(i.image) + '" class="w-full h-full object-cover">' : '') + '</div><div><div class="font-bold">' + esc(i.title) + '</div><div class="text-[9px] text-slate-400 break-all">' + esc(i.link) + ' · ' + (i.timestamp ? new Date(i.timestamp).toLocaleString() : 'no date') + '</div></div></li>').join('') || '<li class="py-2 text-red-600 font-bold">Parser returned no items</li>'; } catch (e) { head.textContent = 'Test failed: ' + e.message; } };
+document.getElementById('rows').addEventListener('click', async (e) => { const btn = e.target.closest('button'); if (!btn) return; const s = sources[btn.dataset.i]; try { if (btn.dataset.act === 'edit') fillForm(s); if (btn.dataset.act === 'toggle') await save({ ...s, enabled: s.enabled === false }); if (btn.dataset.act === 'test') await test(s); if (btn.dataset.act === 'delete' && confirm('Delete ' + s.name + ' (' + s.id + ')?')) { await api('/admin/api/sources/' + encodeURIComponent(s.id), { method: 'DELETE', headers: { 'Content-Type': 'application/json' } }); await load(); } } catch (err) { alert(err.message); } });
+form.addEventListener('submit', async (e) => { e.preventDefault(); try { await save(readForm()); form.reset(); el('id').value = ''; msg.className = 'self-center text-[10px] font-bold text-green-600'; msg.textContent = 'Saved'; } catch (err) { msg.className = 'self-center text-[10px] font-bold text-red-600'; msg.textContent = err.message; } });
+form.addEventListener('reset', () => { el('id').value = ''; msg.textContent = ''; });
+document.getElementById('test').addEventListener('click', () => test(readForm()));
+load();
+</script></body></html>`;
   },
 
   renderDebugPage(err, prompt, response, headersJson, rawHtml) {
@@ -320,3 +1945,30 @@ export default {
     return new Response(`<!DOCTYPE html><html><head><meta charset="UTF-8"><script src="${tw}"></script></head><body class="bg-slate-950 text-slate-300 p-6 font-mono text-[10px] whitespace-pre-wrap break-all"><div class="max-w-4xl mx-auto space-y-6"><h1 class="text-red-500 text-lg font-black uppercase italic tracking-tighter">DIAGNOSTIC // ${err.message}</h1><div class="space-y-2"><h2 class="text-blue-500 font-bold uppercase tracking-widest">[Header Exchange]</h2><div class="bg-slate-900 p-4 rounded border border-slate-800 select-all">${escape(headersJson)}</div></div><div class="space-y-2"><h2 class="text-orange-500 font-bold uppercase tracking-widest">[Original Prompt]</h2><div class="bg-slate-900 p-4 rounded border border-slate-800 select-all">${escape(prompt) || 'N/A'}</div></div><div class="space-y-2"><h2 class="text-green-500 font-bold uppercase tracking-widest">[Raw AI Response]</h2><div class="bg-slate-900 p-4 rounded border border-slate-800 select-all">${escape(response) || 'N/A'}</div></div><div class="space-y-2"><h2 class="text-slate-500 font-bold uppercase tracking-widest">[Raw HTML Body]</h2><div class="bg-slate-900 p-4 rounded border border-slate-800 select-all h-96 overflow-y-auto">${escape(rawHtml) || 'EMPTY'}</div></div><a href="/" class="inline-block bg-slate-800 text-white px-8 py-3 rounded-full font-black uppercase text-[10px] tracking-widest hover:bg-slate-700">Return</a></div></body></html>`, { headers: { "Content-Type": "text/html; charset=UTF-8" } });
   }
 };
+
+export default worker;
+
+/**
+ * One instance per account (idFromName(userId)). KV has no compare-and-swap, so two devices
+ * posting at once would overwrite each other's marks; here every read-modify-write of the
+ * state runs to completion before the next request is let in.
+ */
+export class UserStateStore {
+  constructor(ctx, env) {
+    this.ctx = ctx;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const { update } = await request.json();
+    return this.ctx.blockConcurrencyWhile(async () => {
+      const stored = await this.ctx.storage.get("state");
+      let state = { read: {}, saved: {}, mutedSources: [], mutedKeywords: [], ...(stored || {}) };
+      if (update) {
+        state = worker.applyStateUpdate(state, update);
+        await this.ctx.storage.put("state", state);
+      }
+      return new Response(JSON.stringify(state), { headers: { "Content-Type": "application/json" } });
+    });
+  }
+}